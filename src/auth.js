@@ -0,0 +1,43 @@
+import { apiRequest } from "./providers/base"
+
+const GITHUB_URL = "https://github.com"
+const DEVICE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code"
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// GitHub OAuth device flow, step 1: a code the user enters on github.com/login/device.
+// The OAuth App of `clientId` must have the device flow enabled.
+export async function requestDeviceCode(clientId, scope = "repo") {
+	const { data } = await apiRequest({
+		url: `${GITHUB_URL}/login/device/code`,
+		method: "POST",
+		headers: { Accept: "application/json" },
+		body: { client_id: clientId, scope }
+	})
+	if (data.error) throw new Error(data.error_description || data.error)
+	return data // { device_code, user_code, verification_uri, expires_in, interval }
+}
+
+// Step 2: polls until the user has entered the code. Returns the token, or null if cancelled meanwhile.
+export async function pollDeviceToken(clientId, { device_code: deviceCode, interval = 5, expires_in: expiresIn = 900 }, isCancelled = () => false) {
+	const expiresAt = Date.now() + (expiresIn * 1000)
+
+	while (Date.now() < expiresAt) {
+		await sleep(interval * 1000)
+		if (isCancelled()) return null
+
+		const { data } = await apiRequest({
+			url: `${GITHUB_URL}/login/oauth/access_token`,
+			method: "POST",
+			headers: { Accept: "application/json" },
+			body: { client_id: clientId, device_code: deviceCode, grant_type: DEVICE_GRANT_TYPE }
+		})
+		if (data.access_token) return data.access_token
+
+		if (data.error === "slow_down") interval = data.interval || interval + 5
+		else if (data.error !== "authorization_pending") throw new Error(data.error_description || data.error)
+	}
+	throw new Error("The code expired before being entered, sign in again")
+}
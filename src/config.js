@@ -0,0 +1,119 @@
+import { ATTACHMENT_NAMING_STRATEGIES, getRepoPrefix } from "./utils"
+import { PROVIDER_TYPES, getProviderType } from "./providers"
+
+// Expected type of the keys read by the plugin. Other keys are left alone, so notes about the config don't break it.
+const KEY_TYPES = {
+	name: ["string"],
+	repo: ["string"],
+	branch: ["string"],
+	path: ["string"],
+	imagesPath: ["string"],
+	provider: ["string"],
+	apiBaseUrl: ["string"],
+	gitDir: ["string"],
+	tokenSecret: ["string"],
+	includeNested: ["boolean"],
+	autoSync: ["boolean", "object"],
+	rewriteLinks: ["boolean", "object"],
+	transforms: ["object"],
+	attachments: ["object"],
+	author: ["object"],
+	attachmentNaming: ["string"]
+}
+
+// "owner/repository", GitLab projects may be in subgroups ("group/subgroup/project")
+const REPO_PATTERN = /^[^/\s]+(\/[^/\s]+)+$/
+
+function typeOf(value) {
+	if (value === null) return "null"
+	return Array.isArray(value) ? "array" : typeof value
+}
+
+function validateTarget(target) {
+	if (typeOf(target) !== "object") return [`must be an object, not ${typeOf(target)}`]
+
+	const errors = []
+	for (const [key, types] of Object.entries(KEY_TYPES)) {
+		if (target[key] !== undefined && !types.includes(typeOf(target[key]))) {
+			errors.push(`"${key}" must be ${types.join(" or ")}, not ${typeOf(target[key])}`)
+		}
+	}
+
+	const provider = getProviderType(target)
+	if (!PROVIDER_TYPES.includes(provider)) {
+		errors.push(`unknown provider "${target.provider}", expected one of: ${PROVIDER_TYPES.join(", ")}`)
+	} else if (provider === "local") {
+		if (!target.gitDir) errors.push("\"gitDir\" is required for local repositories")
+	} else if (!target.repo) {
+		errors.push("\"repo\" is required")
+	} else if (typeof target.repo === "string" && (!REPO_PATTERN.test(target.repo) || /^https?:|\.git$/.test(target.repo))) {
+		errors.push(`"repo" must look like "owner/repository", without URL nor .git suffix (got "${target.repo}")`)
+	}
+
+	if (target.attachmentNaming !== undefined && !ATTACHMENT_NAMING_STRATEGIES.includes(target.attachmentNaming)) {
+		errors.push(`"attachmentNaming" must be one of: ${ATTACHMENT_NAMING_STRATEGIES.join(", ")}`)
+	}
+	return errors
+}
+
+// Errors of a config (single target or array of targets), empty when it can be used
+export function validateRepoConfig(config) {
+	if (!Array.isArray(config)) return validateTarget(config)
+	if (config.length === 0) return ["the array has no target"]
+
+	const errors = []
+	const names = new Set()
+	config.forEach((target, index) => {
+		const label = target && typeof target.name === "string" ? `target "${target.name}"` : `target ${index + 1}`
+		errors.push(...validateTarget(target).map(error => `${label}: ${error}`))
+
+		if (target && target.name) {
+			if (names.has(target.name)) errors.push(`${label}: another target has the same name`)
+			names.add(target.name)
+		}
+	})
+	return errors
+}
+
+export function parseRepoConfig(content) {
+	let config
+	try {
+		config = JSON.parse(content)
+	} catch (e) {
+		return { config: null, errors: [`invalid JSON: ${e.message}`] }
+	}
+
+	// The config is returned even when invalid, so the editor can start from it
+	return { config, errors: validateRepoConfig(config) }
+}
+
+// Checks a target against its repository: access, branch, and whether the paths exist there yet.
+// Missing paths are only warnings, the first push creates them.
+export async function checkTargetRemote(provider, target) {
+	const errors = []
+	const warnings = []
+
+	const access = await provider.getAccess()
+	if (!access.read) return { errors: [`${target.repo} not found, or the token can't access it`], warnings }
+	if (!access.write) warnings.push(`the token can only read ${target.repo}${access.note ? ` (${access.note})` : ""}`)
+
+	const branches = await provider.listBranches()
+	const branch = target.branch || "main"
+	if (branches.length > 0 && !branches.includes(branch)) {
+		errors.push(`branch "${branch}" not found, expected one of: ${branches.join(", ")}`)
+		return { errors, warnings }
+	}
+
+	// An empty repository has nothing to check the paths against
+	if (branches.length === 0) return { errors, warnings }
+
+	const tree = await provider.getTree(await provider.getBranchHead(branch))
+	const folderExists = folder => [...tree.keys()].some(path => path.startsWith(`${folder}/`))
+
+	const prefix = getRepoPrefix(target)
+	if (prefix && !folderExists(prefix)) warnings.push(`"${prefix}" doesn't exist in ${branch} yet`)
+	const imagesPrefix = getRepoPrefix({ path: target.imagesPath })
+	if (imagesPrefix && !folderExists(imagesPrefix)) warnings.push(`"${imagesPrefix}" doesn't exist in ${branch} yet`)
+
+	return { errors, warnings }
+}
@@ -1,51 +1,50 @@
 import {
+	Events,
 	ItemView,
+	Modal,
 	Plugin,
 	PluginSettingTab,
 	Setting,
 	Notice,
-	TFile,
+	SecretComponent,
 	TFolder,
 	normalizePath,
+	moment,
 	setIcon,
 	setTooltip
 } from "obsidian"
-import { Octokit } from "@octokit/rest"
-import ignore from "ignore"
-import * as crypto from "crypto"
+import { diffLines, matchLines, splitLines } from "./merge"
+import { RepoSync } from "./sync"
+import { requestDeviceCode, pollDeviceToken } from "./auth"
+import { parseRepoConfig, validateRepoConfig, checkTargetRemote } from "./config"
+import { createProvider, getProviderType } from "./providers"
+import {
+	CONFIG_FILE_NAME,
+	SUPPORTED_ATTACHED_MEDIAS,
+	MEDIA_MIME_TYPES,
+	getRepoPrefix,
+	getSyncStateKey,
+	getAutoSyncOptions,
+	getAttachmentOptions,
+	getRepoTargets,
+	formatSelectionCount,
+	isTextContent
+} from "./utils"
 
 const VIEW_TYPE_GITPUSH = "gitpush-view"
-const SUPPORTED_ATTACHED_MEDIAS = ["png", "jpg", "jpeg", "gif", "svg", "webp", "mp4", "webm"]
+const VIEW_TYPE_GITPUSH_HISTORY = "gitpush-history-view"
+const AUTO_SYNC_TICK = 30 * 1000
 
 const DEFAULT_SETTINGS = {
-	githubToken: "",
-	lastBranch: "main",
-	lastSyncedState: {} // pathInRepo -> sha
-}
-
-function getGitBlobSha(contentBuffer) {
-	const size = contentBuffer.byteLength
-	const header = `blob ${size}\0`
-	const headerBuffer = Buffer.from(header)
-	const combined = Buffer.concat([headerBuffer, Buffer.from(contentBuffer)])
-	return crypto.createHash("sha1").update(combined).digest("hex")
+	tokenSecret: "gitpush-github-token", // name of the token in Obsidian's keychain, kept out of this file
+	oauthClientId: "", // OAuth App used to sign in with the device flow
+	branchByConfig: {}, // target id (config folder path, "#name" for arrays) -> { branch picked in the panel, config branch then }
+	syncStates: {}, // "owner/repo@branch:path" -> { pathInRepo -> sha }
+	uploadedBlobs: {} // "owner/repo@branch:path" -> blob shas uploaded by an unfinished push
 }
 
-function getOctokit(token) {
-	return new Octokit({
-		auth: token,
-		request: {
-			fetch: (url, opts) => {
-				const urlObj = new URL(url)
-				urlObj.searchParams.append("_", Date.now())
-				return fetch(urlObj.toString(), {
-					...opts,
-					cache: "no-store",
-					headers: { ...opts.headers }
-				})
-			}
-		}
-	})
+function sameSyncs(a, b) {
+	return a.length === b.length && a.every((sync, i) => sync === b[i])
 }
 
 class GitPushView extends ItemView {
@@ -53,19 +52,11 @@ class GitPushView extends ItemView {
 		super(leaf)
 		this.plugin = plugin
 
-		this.repoConfig = null
-		this.repoConfigPath = null
-
-		this.localFiles = []
-		this.remoteTree = null
-		this.remoteError = null
-
-		this.filesToPush = []
-		this.filesToPull = []
-		this.conflicts = []
-
-		this.isRefreshing = false
-		this.pendingRefreshArgs = null
+		this.mode = "file" // "file": targets of the active file, "all": every linked folder of the vault
+		this.syncs = [] // RepoSync of each target applying to the active file
+		this.allSyncs = [] // every target of the vault, shown in the overview
+		this.brokenConfigs = [] // [folder path, errors] of the invalid configs concerning what's shown
+		this.commitMessages = new Map() // target id -> commit message being typed
 	}
 
 	getViewType() {
@@ -80,6 +71,26 @@ class GitPushView extends ItemView {
 		return "github"
 	}
 
+	getState() {
+		return { ...super.getState(), mode: this.mode }
+	}
+
+	async setState(state, result) {
+		if (state && state.mode) this.mode = state.mode
+		await super.setState(state, result)
+	}
+
+	async setMode(mode) {
+		this.mode = mode
+		this.app.workspace.requestSaveLayout()
+		await this.refresh()
+	}
+
+	// The overview is also shown when the active file isn't in any linked folder, rather than an empty panel
+	isOverview() {
+		return this.mode === "all" || this.syncs.length === 0
+	}
+
 	async onOpen() {
 		this.app.workspace.onLayoutReady(() => {
 			this.refresh({ fetchRemote: true })
@@ -89,613 +100,180 @@ class GitPushView extends ItemView {
 			this.refresh({ fetchRemote: false, activeFile: file })
 		}))
 
-		this.registerEvent(this.app.vault.on("modify", () => this.debouncedRefresh()))
-		this.registerEvent(this.app.vault.on("create", () => this.debouncedRefresh()))
-		this.registerEvent(this.app.vault.on("delete", () => this.debouncedRefresh()))
-		this.registerEvent(this.app.vault.on("rename", () => this.debouncedRefresh()))
-	}
-
-	debouncedRefresh() {
-		if (this.debounceTimer) clearTimeout(this.debounceTimer)
-		this.debounceTimer = setTimeout(() => this.refresh({ fetchRemote: false }), 1000)
+		this.registerEvent(this.plugin.events.on("sync-changed", (sync) => {
+			if (this.syncs.includes(sync) || (this.isOverview() && this.allSyncs.includes(sync))) this.render()
+		}))
 	}
 
-	async refresh(args = {}) {
-		if (this.isRefreshing) {
-			this.pendingRefreshArgs = args
-			return
-		}
-
-		this.isRefreshing = true
-		this.render()
-
-		try {
-			await this.doRefresh(args)
-		} catch (e) {
-			console.error("GitPush refresh error:", e)
-		} finally {
-			this.isRefreshing = false
+	async refresh({ fetchRemote = false, activeFile = undefined } = {}) {
+		const file = activeFile === undefined ? this.app.workspace.getActiveFile() : activeFile
+		const syncs = await this.plugin.getSyncsForFile(file)
+		this.brokenConfigs = this.plugin.getConfigErrorsForFile(file)
 
-			if (this.pendingRefreshArgs) {
-				const nextArgs = this.pendingRefreshArgs
-				this.pendingRefreshArgs = null
-				this.refresh(nextArgs)
-			} else {
-				this.render()
-			}
+		if (!sameSyncs(syncs, this.syncs)) {
+			this.syncs = syncs
+			this.commitMessages.clear()
 		}
-	}
 
-	async doRefresh({ fetchRemote = false, activeFile = undefined } = {}) {
-		const configChanged = await this.updateRepoConfig(activeFile)
-
-		if (this.repoConfig) {
-			await this.scanLocalFiles()
-
-			if (fetchRemote || configChanged || (!this.remoteTree && !this.remoteError)) {
-				await this.fetchRemoteTree()
-			}
-
-			this.calculateDiff()
-		} else {
-			this.resetState()
+		if (!this.isOverview()) {
+			this.render()
+			await Promise.all(syncs.map(sync => sync.refresh({ fetchRemote })))
+			return
 		}
-	}
 
-	resetState() {
-		this.repoConfig = null
-		this.repoConfigPath = null
-		this.localFiles = []
-		this.filesToPush = []
-		this.filesToPull = []
-		this.conflicts = []
-		this.remoteTree = null
-		this.remoteError = null
+		// The vault is scanned again with the refresh button, otherwise after a change of its folders or configs.
+		// Other targets are only fetched when asked to, or the first time they're shown.
+		this.allSyncs = fetchRemote ? await this.plugin.discoverRepoConfigs() : await this.plugin.getKnownSyncs()
+		if (this.mode === "all") this.brokenConfigs = [...this.plugin.configErrors]
+		this.render()
+		await Promise.all(this.allSyncs
+			.filter(sync => fetchRemote || (!sync.remoteTree && !sync.remoteError))
+			.map(sync => sync.refresh({ fetchRemote })))
 	}
 
-	async updateRepoConfig(file) {
-		let activeFile
-		if (file === undefined) {
-			activeFile = this.app.workspace.getActiveFile()
-		} else {
-			activeFile = file
-		}
-
-		let newConfig = null
-		let newConfigPath = null
-
-		if (activeFile) {
-			let currentFolder = activeFile.parent
-			while (currentFolder) {
-				const configPath = normalizePath(`${currentFolder.path}/.obsidian-gitpush.json`)
-				if (await this.app.vault.adapter.exists(configPath)) {
-					try {
-						const content = await this.app.vault.adapter.read(configPath)
-						newConfig = JSON.parse(content)
-						newConfigPath = currentFolder.path
-						break
-					} catch (e) {
-						console.error("Failed to parse .obsidian-gitpush.json", e)
-					}
-				}
-				if (currentFolder.isRoot()) break
-				currentFolder = currentFolder.parent
-			}
-		}
-
-		const changed = newConfigPath !== this.repoConfigPath
-
-		if (changed) {
-			this.repoConfig = newConfig
-			this.repoConfigPath = newConfigPath
-
-			// Always clear remote state on config change
-			this.remoteTree = null
-			this.remoteError = null
-			this.localFiles = []
-			this.filesToPush = []
-			this.filesToPull = []
-			this.conflicts = []
-		}
-
-		return changed
+	async openTarget(sync) {
+		this.mode = "file"
+		this.syncs = [sync]
+		this.render()
+		await sync.refresh()
 	}
 
-	async scanLocalFiles() {
-		if (!this.repoConfig || this.repoConfigPath === null) return
-
-		const files = []
-		const folder = this.app.vault.getAbstractFileByPath(this.repoConfigPath)
-
-		if (folder instanceof TFolder) {
-			const gitignore = await this.getGitignore(folder)
-
-			const scan = async (f) => {
-				if (f instanceof TFile) {
-					const relativePath = f.path.substring(this.repoConfigPath.length).replace(/^\//, "")
-					if (f.name === ".obsidian-gitpush.json") return
-					if (gitignore && gitignore.ignores(relativePath)) return
-
-					try {
-						const content = await this.app.vault.readBinary(f)
-						const sha = getGitBlobSha(content)
-						const pathInRepo = normalizePath(`${this.repoConfig.path || ""}/${relativePath}`).replace(/^\//, "")
-
-						files.push({
-							file: f,
-							sha: sha,
-							pathInRepo: pathInRepo,
-							localPath: relativePath
-						})
-					} catch (e) {
-						console.error(`Error reading ${f.path}`, e)
-					}
-
-				} else if (f instanceof TFolder) {
-					for (const child of f.children) {
-						await scan(child)
-					}
-				}
-			}
-
-			for (const child of folder.children) {
-				await scan(child)
-			}
+	async onPush(sync) {
+		if (await sync.push({ message: this.commitMessages.get(sync.id) || "" })) {
+			this.commitMessages.delete(sync.id)
+			this.render()
 		}
-		this.localFiles = files
 	}
 
-	async getGitignore(folder) {
-		const path = normalizePath(`${folder.path}/.gitignore`)
-		if (await this.app.vault.adapter.exists(path)) {
-			try {
-				const content = await this.app.vault.adapter.read(path)
-				return ignore().add(content)
-			} catch (e) {
-				return null
-			}
-		}
-		return null
+	async onPull(sync) {
+		await sync.pull()
 	}
 
-	async fetchRemoteTree() {
-		if (!this.plugin.settings.githubToken || !this.repoConfig) return
-
-		this.remoteTree = null
-		this.remoteError = null
-
-		const [owner, repo] = this.repoConfig.repo.split("/")
-		const branch = this.branchInput ? this.branchInput.value : (this.plugin.settings.lastBranch || "main")
-
-		const octokit = getOctokit(this.plugin.settings.githubToken)
-
-		try {
-			const { data: refData } = await octokit.git.getRef({ owner, repo, ref: `heads/${branch}` })
-			const latestCommitSha = refData.object.sha
-
-			const { data: treeData } = await octokit.git.getTree({
-				owner,
-				repo,
-				tree_sha: latestCommitSha,
-				recursive: true
-			})
+	openDiff(sync, item, kind) {
+		const title = sync.getRelativePath(item.pathInRepo)
+		let sides
 
-			const newTree = new Map()
-			for (const item of treeData.tree) {
-				if (item.type === "blob") {
-					newTree.set(item.path, item.sha)
-				}
-			}
-			this.remoteTree = newTree
-		} catch (e) {
-			console.error("Failed to fetch remote tree", e)
-			this.remoteTree = null
-			this.remoteError = e.message || "Unknown error"
+		if (kind === "push") {
+			const remoteSha = item.remoteSha || (sync.remoteTree && sync.remoteTree.get(item.pathInRepo)) || null
+			sides = [{ label: "Remote", sha: remoteSha }, { label: "Local", file: item.file || null }]
+		} else if (kind === "pull") {
+			sides = [{ label: "Local", file: item.localFile || null }, { label: "Remote", sha: item.sha }]
+		} else {
+			sides = [
+				{ label: "Base", sha: item.baseSha || null },
+				{ label: "Local", file: item.localFile || null },
+				{ label: "Remote", sha: item.remoteSha || null }
+			]
 		}
-	}
-
-	calculateDiff() {
-		this.filesToPush = []
-		this.filesToPull = []
-		this.conflicts = []
 
-		if (!this.remoteTree) return
-
-		const lastSynced = this.plugin.settings.lastSyncedState || {}
-		const remoteTree = this.remoteTree
-		const prefix = (this.repoConfig.path || "").replace(/^\//, "").replace(/\/$/, "")
+		new DiffModal(this.app, sync, { title, path: item.pathInRepo, sides }).open()
+	}
 
-		const localMap = new Map()
-		this.localFiles.forEach(f => localMap.set(f.pathInRepo, f))
+	render() {
+		const { contentEl } = this
+		contentEl.empty()
+		contentEl.addClass("gitpush-side-panel")
 
-		const allPaths = new Set([...localMap.keys()])
-		for (const path of remoteTree.keys()) {
-			if (!prefix || path.startsWith(prefix)) {
-				allPaths.add(path)
-			}
+		const tabs = contentEl.createDiv({ attr: { style: "display: flex; gap: 5px; margin: 10px 10px 0 10px;" } })
+		for (const [mode, label] of [["file", "Current note"], ["all", "All folders"]]) {
+			const tab = tabs.createEl("button", { text: label, cls: mode === this.mode ? "mod-cta" : "", attr: { style: "flex: 1; font-size: 0.8em;" } })
+			tab.addEventListener("click", () => this.setMode(mode))
 		}
 
-		let stateUpdated = false
-
-		for (const path of allPaths) {
-			const local = localMap.get(path)
-			const localSha = local ? local.sha : null
-			const remoteSha = remoteTree.get(path)
-			const lastSha = lastSynced[path]
-
-			if (localSha === remoteSha) {
-				if (lastSha !== localSha && localSha) {
-					lastSynced[path] = localSha
-					stateUpdated = true
-				}
-				continue
-			}
-
-			if (localSha && !remoteSha) {
-				if (!lastSha) {
-					this.filesToPush.push({ ...local, status: "new" })
-				} else {
-					this.filesToPull.push({ pathInRepo: path, sha: null, status: "deleted-remotely", localFile: local.file })
-				}
-				continue
-			}
-
-			if (!localSha && remoteSha) {
-				if (lastSha === remoteSha) {
-					this.filesToPush.push({ pathInRepo: path, sha: null, status: "deleted", remoteSha: remoteSha, localPath: path.substring(prefix.length).replace(/^\//, "") })
-				} else if (lastSha && lastSha !== remoteSha) {
-					this.conflicts.push({
-						pathInRepo: path,
-						localSha: null,
-						remoteSha: remoteSha,
-						localFile: null,
-						localPath: path.substring(prefix.length).replace(/^\//, "")
-					})
-				} else {
-					this.filesToPull.push({ pathInRepo: path, sha: remoteSha, status: "new-remote" })
-				}
-				continue
-			}
-
-			if (localSha && remoteSha) {
-				if (localSha === lastSha && remoteSha !== lastSha) {
-					this.filesToPull.push({
-						pathInRepo: path,
-						sha: remoteSha,
-						status: "modified-remote",
-						localFile: local.file
-					})
-				} else if (localSha !== lastSha && remoteSha === lastSha) {
-					this.filesToPush.push({ ...local, status: "modified" })
-				} else {
-					this.conflicts.push({
-						pathInRepo: path,
-						localSha: localSha,
-						remoteSha: remoteSha,
-						localFile: local.file,
-						localPath: local.localPath
-					})
-				}
-			}
-		}
+		this.renderConfigErrors(contentEl)
 
-		if (stateUpdated) {
-			this.plugin.settings.lastSyncedState = lastSynced
-			this.plugin.saveSettings()
+		if (this.isOverview()) {
+			this.renderOverview(contentEl)
+			return
 		}
-	}
-
-	resolveConflict(conflict, strategy) {
-		this.conflicts = this.conflicts.filter(c => c.pathInRepo !== conflict.pathInRepo)
 
-		if (strategy === "local") {
-			if (conflict.localSha) {
-				const local = this.localFiles.find(f => f.pathInRepo === conflict.pathInRepo)
-				if (local) this.filesToPush.push({ ...local, status: "modified (force)" })
-			} else {
-				this.filesToPush.push({
-					pathInRepo: conflict.pathInRepo,
-					sha: null,
-					status: "deleted (force)",
-					remoteSha: conflict.remoteSha,
-					localPath: conflict.localPath
-				})
-			}
-		} else if (strategy === "remote") {
-			if (conflict.remoteSha) {
-				this.filesToPull.push({
-					pathInRepo: conflict.pathInRepo,
-					sha: conflict.remoteSha,
-					status: "modified-remote (force)",
-					localFile: conflict.localFile
-				})
-			} else {
-				this.filesToPull.push({
-					pathInRepo: conflict.pathInRepo,
-					sha: null,
-					status: "deleted-remotely (force)",
-					localFile: conflict.localFile
-				})
-			}
-		}
-		this.render()
+		// A folder can be pushed to several repositories or branches, each one gets its own section
+		this.syncs.forEach(sync => this.renderTarget(contentEl.createDiv({ cls: "gitpush-target" }), sync))
 	}
 
-	async onPush() {
-		if (this.filesToPush.length === 0) return
-
-		const token = this.plugin.settings.githubToken
-		if (!token) return
-
-		const commitMessage = this.commitInput.value || "Update from Obsidian"
-		const branch = this.branchInput.value || "main"
-
-		const octokit = getOctokit(token)
-		const [owner, repo] = this.repoConfig.repo.split("/")
-		const lastSynced = this.plugin.settings.lastSyncedState || {}
-
-		new Notice(`Pushing ${this.filesToPush.length} changes...`)
-
-		try {
-			// -- Collect all tree entries and track state changes --
-			const treeEntries = []
-			const filesToTrack = []
-			const deletedPaths = []
-			const imageMap = new Map() // deduplicate images across markdown files
-
-			for (const item of this.filesToPush) {
-				if (item.status.startsWith("deleted")) {
-					treeEntries.push({
-						path: item.pathInRepo,
-						mode: "100644",
-						type: "blob",
-						sha: null // to delete a file via the Tree API, set sha to null
-					})
-					deletedPaths.push(item.pathInRepo)
-					continue
-				}
-
-				const content = await this.app.vault.readBinary(item.file)
-
-				// Create a blob for this file
-				const { data: blobData } = await octokit.git.createBlob({
-					owner, repo,
-					content: Buffer.from(content).toString("base64"),
-					encoding: "base64"
-				})
-
-				treeEntries.push({
-					path: item.pathInRepo,
-					mode: "100644",
-					type: "blob",
-					sha: blobData.sha
-				})
-				filesToTrack.push({ pathInRepo: item.pathInRepo, sha: item.sha })
-
-				// Collect images referenced in markdown files
-				if (item.file.extension === "md") {
-					const images = await this.collectImagesFromMarkdown(item.file)
-					for (const img of images) {
-						if (!imageMap.has(img.pathInRepo)) {
-							imageMap.set(img.pathInRepo, img)
-						}
-					}
-				}
-			}
-
-			// Create blobs for collected images
-			for (const [imgPath, img] of imageMap) {
-				const { data: blobData } = await octokit.git.createBlob({
-					owner, repo,
-					content: Buffer.from(img.content).toString("base64"),
-					encoding: "base64"
-				})
-
-				treeEntries.push({
-					path: imgPath,
-					mode: "100644",
-					type: "blob",
-					sha: blobData.sha
-				})
-				filesToTrack.push({ pathInRepo: imgPath, sha: img.localSha })
-			}
-
-			// Get current commit SHA for the branch
-			const { data: refData } = await octokit.git.getRef({ owner, repo, ref: `heads/${branch}` })
-			const latestCommitSha = refData.object.sha
-
-			// Get the base tree SHA from the latest commit
-			const { data: commitData } = await octokit.git.getCommit({ owner, repo, commit_sha: latestCommitSha })
-			const baseTreeSha = commitData.tree.sha
-
-			// Create a new tree with all changes at once, then create a single commit pointing to that tree
-			const { data: newTree } = await octokit.git.createTree({
-				owner, repo,
-				base_tree: baseTreeSha,
-				tree: treeEntries
-			})
-			const { data: newCommit } = await octokit.git.createCommit({
-				owner, repo,
-				message: commitMessage,
-				tree: newTree.sha,
-				parents: [latestCommitSha]
-			})
+	// A broken config would otherwise just look like an unlinked folder
+	renderConfigErrors(contentEl) {
+		for (const [folderPath, errors] of this.brokenConfigs) {
+			const box = contentEl.createDiv({ attr: { style: "padding: 10px; margin: 10px 10px 0 10px; border: 1px solid var(--text-error); border-radius: 4px; font-size: 0.8em;" } })
+			box.createDiv({ text: `${normalizePath(`${folderPath}/${CONFIG_FILE_NAME}`)} is invalid, the folder isn't synced:`, attr: { style: "font-weight: bold; color: var(--text-error); word-break: break-all;" } })
 
-			// Update the branch reference to the new commit
-			await octokit.git.updateRef({
-				owner, repo,
-				ref: `heads/${branch}`,
-				sha: newCommit.sha
-			})
+			const list = box.createEl("ul", { attr: { style: "margin: 5px 0; padding-left: 20px;" } })
+			errors.forEach(error => list.createEl("li", { text: error }))
 
-			// Update local tracking state
-			for (const { pathInRepo, sha } of filesToTrack) {
-				lastSynced[pathInRepo] = sha
-				if (this.remoteTree) this.remoteTree.set(pathInRepo, sha)
-			}
-			for (const path of deletedPaths) {
-				delete lastSynced[path]
-				if (this.remoteTree) this.remoteTree.delete(path)
+			const folder = this.app.vault.getAbstractFileByPath(folderPath)
+			if (folder instanceof TFolder) {
+				const editBtn = box.createEl("button", { text: "Edit configuration", attr: { style: "font-size: 0.9em;" } })
+				editBtn.addEventListener("click", () => new RepoConfigModal(this.app, this.plugin, folder).open())
 			}
-
-			new Notice("Push successful!")
-			this.plugin.settings.lastBranch = branch
-			this.plugin.settings.lastSyncedState = lastSynced
-			await this.plugin.saveSettings()
-			await this.refresh({ fetchRemote: true })
-		} catch (e) {
-			console.error(e)
-			new Notice(`Push failed: ${e.message}`)
 		}
 	}
 
-	async collectImagesFromMarkdown(file) {
-		const text = await this.app.vault.read(file)
-		const imagesToProcess = new Set()
-
-		// 1. Scan Frontmatter
-		const cache = this.app.metadataCache.getFileCache(file)
-		if (cache && cache.frontmatter) {
-			const processValue = (val) => {
-				if (typeof val === "string") {
-					// Clean value: remove [[ ]], aliases |, anchors #
-					let cleanName = val.replace(/^\[\[/, "").replace(/\]\]$/, "")
-					cleanName = cleanName.split("|")[0].split("#")[0]
-
-					const imageFile = this.app.metadataCache.getFirstLinkpathDest(cleanName, file.path)
-					if (imageFile && SUPPORTED_ATTACHED_MEDIAS.includes(imageFile.extension.toLowerCase())) {
-						imagesToProcess.add(imageFile)
-					}
-				} else if (Array.isArray(val)) {
-					val.forEach(processValue)
-				}
-			}
-
-			Object.keys(cache.frontmatter).forEach(key => {
-				if (key === "position") return
-				processValue(cache.frontmatter[key])
+	renderOverview(contentEl) {
+		if (this.allSyncs.length === 0) {
+			contentEl.createEl("div", {
+				text: "No repository configuration found. Right-click a folder and choose \"Link folder to GitHub repository\", or create a '.obsidian-gitpush.json' file in it.",
+				attr: { style: "padding: 15px; color: var(--text-muted); font-size: 0.9em;" }
 			})
+			return
 		}
 
-		// 2. Scan Body (Regex)
-		const imageRegex = /!\[\[(.*?)\]\]|!\[.*?\]\((.*?)\)/g
-		let match
-		while ((match = imageRegex.exec(text)) !== null) {
-			const imageName = (match[1] || match[2]).split("|")[0].split("#")[0]
-			const imageFile = this.app.metadataCache.getFirstLinkpathDest(imageName, file.path)
-			if (imageFile && SUPPORTED_ATTACHED_MEDIAS.includes(imageFile.extension.toLowerCase())) {
-				imagesToProcess.add(imageFile)
-			}
-		}
-
-		// 3. Collect images that need uploading (changed compared to remote)
-		const result = []
-		for (const imageFile of imagesToProcess) {
-			const imgContent = await this.app.vault.readBinary(imageFile)
-			const imgPathInRepo = normalizePath(`${this.repoConfig.imagesPath || "images"}/${imageFile.name}`).replace(/^\//, "")
-
-			let imgSha
-			if (this.remoteTree) imgSha = this.remoteTree.get(imgPathInRepo)
-			const localImgSha = getGitBlobSha(imgContent)
+		const header = contentEl.createDiv({ attr: { style: "display: flex; align-items: center; justify-content: space-between; margin: 10px 10px 0 10px;" } })
+		header.createEl("h4", { text: `Linked folders (${this.allSyncs.length})`, attr: { style: "margin: 0; font-size: 0.8em; text-transform: uppercase;" } })
+		const refreshBtn = header.createEl("button", { cls: "clickable-icon", attr: { style: "height: 24px; width: 24px; padding: 0;" } })
+		setIcon(refreshBtn, "refresh-cw")
+		setTooltip(refreshBtn, "Check every linked folder for changes", { placement: "top" })
+		refreshBtn.addEventListener("click", () => this.refresh({ fetchRemote: true }))
 
-			if (imgSha !== localImgSha) {
-				result.push({
-					pathInRepo: imgPathInRepo,
-					content: imgContent,
-					localSha: localImgSha
-				})
-			}
+		if (this.mode === "file") {
+			contentEl.createDiv({ text: "The current note isn't in a linked folder.", attr: { style: "margin: 5px 10px 0 10px; font-size: 0.8em; color: var(--text-muted);" } })
 		}
 
-		return result
-	}
-
-	async onPull() {
-		if (this.filesToPull.length === 0) return
-
-		const token = this.plugin.settings.githubToken
-		const branch = this.branchInput.value || "main"
-		const octokit = getOctokit(token)
-		const [owner, repo] = this.repoConfig.repo.split("/")
-		const lastSynced = this.plugin.settings.lastSyncedState || {}
-
-		new Notice(`Pulling ${this.filesToPull.length} changes...`)
-
-		try {
-			for (const item of this.filesToPull) {
-				if (item.status.startsWith("deleted-remotely")) {
-					if (item.localFile) {
-						await this.app.vault.delete(item.localFile)
-					}
-					delete lastSynced[item.pathInRepo]
-					if (this.remoteTree) this.remoteTree.delete(item.pathInRepo)
-					continue
-				}
-
-				const { data: fileData } = await octokit.repos.getContent({
-					owner,
-					repo,
-					path: item.pathInRepo,
-					ref: branch
-				})
-
-				if (Array.isArray(fileData)) continue
-
-				const content = Buffer.from(fileData.content, "base64")
-				const prefix = (this.repoConfig.path || "").replace(/^\//, "").replace(/\/$/, "")
-				let relativePath = item.pathInRepo
-				if (prefix && relativePath.startsWith(prefix)) {
-					relativePath = relativePath.substring(prefix.length).replace(/^\//, "")
-				}
-
-				const localPath = normalizePath(`${this.repoConfigPath}/${relativePath}`)
-				const folderPath = localPath.substring(0, localPath.lastIndexOf("/"))
-
-				if (folderPath && !await this.app.vault.adapter.exists(folderPath)) {
-					await this.app.vault.createFolder(folderPath)
-				}
-
-				if (await this.app.vault.adapter.exists(localPath)) {
-					const existingFile = this.app.vault.getAbstractFileByPath(localPath)
-					if (existingFile instanceof TFile) {
-						await this.app.vault.modifyBinary(existingFile, content)
-					}
-				} else {
-					await this.app.vault.createBinary(localPath, content)
-				}
-
-				lastSynced[item.pathInRepo] = item.sha
+		const list = contentEl.createDiv({ attr: { style: "padding: 10px; display: flex; flex-direction: column; gap: 10px; overflow-y: auto;" } })
+		for (const sync of this.allSyncs) {
+			const row = list.createDiv({ cls: "gitpush-repo-info", attr: { style: "padding: 10px; margin: 0; border: 1px solid var(--background-modifier-border);" } })
+
+			const nameEl = row.createDiv({ text: sync.getLabel(), cls: "gitpush-file-entry", attr: { style: "font-weight: bold; overflow: hidden; text-overflow: ellipsis;" } })
+			setTooltip(nameEl, "Show the changes of this folder", { placement: "top" })
+			nameEl.addEventListener("click", () => this.openTarget(sync))
+			row.createDiv({ text: `${sync.repoConfigPath} → ${sync.repoConfig.repo}/${sync.repoConfig.path || ""}`, attr: { style: "font-size: 0.8em; color: var(--text-muted); margin-top: 2px; word-break: break-all;" } })
+
+			const statusDiv = row.createDiv({ attr: { style: "font-size: 0.8em; margin-top: 5px;" } })
+			if (sync.progress) {
+				statusDiv.setText(sync.progress.label)
+				statusDiv.style.color = "var(--text-accent)"
+			} else if (sync.isRefreshing) {
+				statusDiv.setText("Checking for changes...")
+				statusDiv.style.color = "var(--text-accent)"
+			} else if (sync.remoteError) {
+				statusDiv.setText(`Error: ${sync.remoteError}`)
+				statusDiv.style.color = "var(--text-error)"
+			} else if (sync.remoteTree) {
+				statusDiv.setText(`↑${sync.filesToPush.length} to push · ↓${sync.filesToPull.length} to pull · ${sync.conflicts.length} conflict(s)`)
+				statusDiv.style.color = sync.conflicts.length > 0 ? "var(--text-error)" : "var(--text-muted)"
+			} else {
+				statusDiv.setText("Not synced (Offline?)")
+				statusDiv.style.color = "var(--text-muted)"
 			}
-			new Notice("Pull successful!")
-			this.plugin.settings.lastSyncedState = lastSynced
-			await this.plugin.saveSettings()
-			await this.refresh({ fetchRemote: true })
-		} catch (e) {
-			console.error(e)
-			new Notice(`Pull failed: ${e.message}`)
-		}
-	}
-
-	render() {
-		const { contentEl } = this
-		contentEl.empty()
-		contentEl.addClass("gitpush-side-panel")
 
-		// Header removed as requested
+			// Same checks as the buttons of the detailed view, the commands show why nothing happened otherwise
+			const blocked = !sync.remoteTree || !!sync.remoteError || sync.conflicts.length > 0 || sync.isSyncing
+			const btnRow = row.createDiv({ attr: { style: "display: flex; gap: 8px; margin-top: 8px;" } })
+			const pushBtn = btnRow.createEl("button", { text: `Push (${sync.filesToPush.length})`, cls: "mod-cta", attr: { style: "flex: 1; font-size: 0.8em;" } })
+			pushBtn.disabled = blocked || sync.filesToPush.length === 0
+			pushBtn.addEventListener("click", () => this.plugin.pushRepository(sync))
 
-		if (!this.repoConfig) {
-			contentEl.createEl("div", {
-				text: "No repository configuration found. Please create a '.obsidian-gitpush.json' file in your project folder.",
-				attr: { style: "padding: 15px; color: var(--text-muted); font-size: 0.9em;" }
-			})
-			return
+			const pullBtn = btnRow.createEl("button", { text: `Pull (${sync.filesToPull.length})`, attr: { style: "flex: 1; font-size: 0.8em;" } })
+			pullBtn.disabled = blocked || sync.filesToPull.length === 0
+			pullBtn.addEventListener("click", () => this.plugin.pullRepository(sync))
 		}
+	}
 
+	renderTarget(contentEl, sync) {
 		// Repository Info Section with integrated refresh
 		const repoSection = contentEl.createDiv({ cls: "gitpush-repo-info", attr: { style: "padding: 10px; margin: 10px; border: 1px solid var(--background-modifier-border); position: relative;" } })
 
 		const repoHeader = repoSection.createEl("h4", { attr: { style: "margin: 0 0 5px 0; font-size: 0.8em; text-transform: uppercase;" } })
-		repoHeader.createSpan({ text: "Repository " })
+		repoHeader.createSpan({ text: sync.repoConfig.name ? `${sync.repoConfig.name} ` : "Repository " })
 		repoHeader.createSpan({ text: "• GitPush", attr: { style: "opacity: 0.5;" } })
 
 		const refreshBtn = repoSection.createEl("button", {
@@ -705,163 +283,1430 @@ class GitPushView extends ItemView {
 		setIcon(refreshBtn, "refresh-cw")
 		refreshBtn.addEventListener("click", () => this.refresh({ fetchRemote: true }))
 
-		repoSection.createDiv({ text: this.repoConfig.repo, attr: { style: "font-weight: bold; overflow: hidden; text-overflow: ellipsis;" } })
-		repoSection.createDiv({ text: `Source: ${this.repoConfigPath}`, attr: { style: "font-size: 0.8em; color: var(--text-muted); margin-top: 2px;" } })
-		repoSection.createDiv({ text: `Target: ${this.repoConfig.path || "/"}`, attr: { style: "font-size: 0.8em; color: var(--text-muted); margin-top: 2px;" } })
+		repoSection.createDiv({ text: sync.repoConfig.repo, attr: { style: "font-weight: bold; overflow: hidden; text-overflow: ellipsis;" } })
+		repoSection.createDiv({ text: `Source: ${sync.repoConfigPath}`, attr: { style: "font-size: 0.8em; color: var(--text-muted); margin-top: 2px;" } })
+		repoSection.createDiv({ text: `Target: ${sync.repoConfig.path || "/"}`, attr: { style: "font-size: 0.8em; color: var(--text-muted); margin-top: 2px;" } })
+		if (sync.nestedConfigPaths.length > 0) {
+			const nestedEl = repoSection.createDiv({ text: `Excluded: ${sync.nestedConfigPaths.join(", ")}`, attr: { style: "font-size: 0.8em; color: var(--text-muted); margin-top: 2px; word-break: break-all;" } })
+			setTooltip(nestedEl, "These subfolders have their own config. Set \"includeNested\" to also sync them with this target.", { placement: "top" })
+		}
+
+		const autoSync = getAutoSyncOptions(sync.repoConfig)
+		if (autoSync.enabled) {
+			repoSection.createDiv({
+				text: sync.autoSyncPaused ? "Auto-sync: stopped (resolve conflicts)" : `Auto-sync: every ${autoSync.interval} min`,
+				attr: { style: `font-size: 0.8em; margin-top: 2px; color: ${sync.autoSyncPaused ? "var(--text-error)" : "var(--text-muted)"};` }
+			})
+		}
 
 		const statusDiv = repoSection.createDiv({ attr: { style: "font-size: 0.8em; margin-top: 5px;" } })
-		if (this.isRefreshing) {
+		if (sync.progress) {
+			statusDiv.setText(sync.progress.label)
+			statusDiv.style.color = "var(--text-accent)"
+			const progressBar = repoSection.createEl("progress", { cls: "gitpush-progress" })
+			progressBar.max = sync.progress.total
+			progressBar.value = sync.progress.done
+		} else if (sync.isRefreshing) {
 			statusDiv.setText("Checking for changes...")
 			statusDiv.style.color = "var(--text-accent)"
-		} else if (this.remoteError) {
-			statusDiv.setText(`Error: ${this.remoteError}`)
+		} else if (sync.remoteError) {
+			statusDiv.setText(`Error: ${sync.remoteError}`)
 			statusDiv.style.color = "var(--text-error)"
-		} else if (this.remoteTree) {
-			statusDiv.setText("Synced with GitHub")
+		} else if (sync.remoteTree) {
+			statusDiv.setText(`Synced with ${sync.getProviderName()}`)
 			statusDiv.style.color = "var(--text-success)"
 		} else {
 			statusDiv.setText("Not synced (Offline?)")
 			statusDiv.style.color = "var(--text-muted)"
 		}
 
-		if (this.conflicts.length > 0) {
+		if (sync.conflicts.length > 0) {
 			const conflictSection = contentEl.createDiv({
 				attr: { style: "padding: 10px; margin: 0 10px 10px 10px; border: 1px solid var(--text-error); border-radius: 4px; background-color: rgba(var(--color-red-rgb), 0.1);" }
 			})
-			conflictSection.createEl("h4", { text: `Conflicts (${this.conflicts.length})`, attr: { style: "margin: 0 0 10px 0; color: var(--text-error); font-size: 0.9em; text-transform: uppercase;" } })
+			conflictSection.createEl("h4", { text: `Conflicts (${sync.conflicts.length})`, attr: { style: "margin: 0 0 10px 0; color: var(--text-error); font-size: 0.9em; text-transform: uppercase;" } })
 
-			this.conflicts.forEach(c => {
+			sync.conflicts.forEach(c => {
 				const container = conflictSection.createDiv({ attr: { style: "margin-bottom: 10px; padding: 10px; border: 1px solid var(--background-modifier-border); border-radius: 4px; background: var(--background-primary);" } })
-				container.createDiv({ text: c.localPath, attr: { style: "font-weight: bold; margin-bottom: 8px; word-break: break-all;" } })
+				const nameEl = container.createDiv({ text: c.localPath, cls: "gitpush-file-entry", attr: { style: "font-weight: bold; margin-bottom: 8px; word-break: break-all;" } })
+				setTooltip(nameEl, "Compare base, local and remote versions", { placement: "top" })
+				nameEl.addEventListener("click", () => this.openDiff(sync, c, "conflict"))
+
+				if (c.merge) {
+					container.createDiv({ text: `${c.merge.conflictCount} overlapping change(s), could not merge automatically.`, attr: { style: "font-size: 0.8em; color: var(--text-muted); margin-bottom: 8px;" } })
+					const markBtn = container.createEl("button", { text: "Mark Conflicts in File", attr: { style: "width: 100%; font-size: 0.8em; margin-bottom: 8px;" } })
+					markBtn.addEventListener("click", () => sync.markConflicts(c))
+				}
 
 				const btnRow = container.createDiv({ attr: { style: "display: flex; gap: 8px;" } })
 				const keepLocalBtn = btnRow.createEl("button", { text: "Keep Local", attr: { style: "flex: 1; font-size: 0.8em;" } })
-				keepLocalBtn.addEventListener("click", () => this.resolveConflict(c, "local"))
+				keepLocalBtn.addEventListener("click", () => sync.resolveConflict(c, "local"))
 
 				const keepRemoteBtn = btnRow.createEl("button", { text: "Keep Remote", attr: { style: "flex: 1; font-size: 0.8em;" } })
-				keepRemoteBtn.addEventListener("click", () => this.resolveConflict(c, "remote"))
+				keepRemoteBtn.addEventListener("click", () => sync.resolveConflict(c, "remote"))
 			})
 		}
 
+		if (sync.pathCollisions.length > 0) {
+			const lines = sync.pathCollisions.map(c => `${c.pathInRepo}: ${c.files.join(", ")}`)
+			this.renderWarning(contentEl, "Path collisions", lines, "These files would overwrite each other in the repository and can't be pushed. Rename them, or change \"attachmentNaming\" or their \"gitpush-path\".")
+		}
+
+		if (sync.oversizedFiles.length > 0) {
+			const maxSize = getAttachmentOptions(sync.repoConfig).maxSize
+			const lines = sync.oversizedFiles.map(f => `${f.path} (${(f.size / 1024 / 1024).toFixed(1)} MB)`)
+			this.renderWarning(contentEl, `Files over ${maxSize} MB`, lines, "These files are left out of pushes and pulls.")
+		}
+
 		const formSection = contentEl.createDiv({ attr: { style: "padding: 0 10px 10px 10px;" } })
 
 		formSection.createEl("label", { text: "Commit Message" })
-		this.commitInput = formSection.createEl("input", { type: "text", attr: { style: "width: 100%; margin-bottom: 10px;", placeholder: "Update files" } })
+		const commitInput = formSection.createEl("input", { type: "text", attr: { style: "width: 100%; margin-bottom: 10px;", placeholder: "Update files" } })
+		commitInput.value = this.commitMessages.get(sync.id) || ""
+		commitInput.addEventListener("input", () => this.commitMessages.set(sync.id, commitInput.value))
 
 		formSection.createEl("label", { text: "Branch" })
-		this.branchInput = formSection.createEl("input", { type: "text", attr: { style: "width: 100%; margin-bottom: 15px;" } })
-		this.branchInput.value = this.plugin.settings.lastBranch || "main"
+		const branch = sync.getBranch()
+		const branchSelect = formSection.createEl("select", { cls: "dropdown", attr: { style: "width: 100%; margin-bottom: 15px;" } })
+		const branchNames = sync.branches.includes(branch) ? sync.branches : [branch, ...sync.branches]
+		branchNames.forEach(name => branchSelect.createEl("option", { text: name, value: name }))
+		branchSelect.createEl("option", { text: "+ New branch...", value: "" })
+		branchSelect.value = branch
+
+		branchSelect.addEventListener("change", () => {
+			if (branchSelect.value) {
+				sync.setBranch(branchSelect.value)
+			} else {
+				branchSelect.value = branch
+				new NewBranchModal(this.app, branch, (name) => sync.createBranch(name)).open()
+			}
+		})
 
 		const btnContainer = formSection.createDiv({ attr: { style: "display: flex; gap: 10px;" } })
 
-		const pushLabel = this.filesToPush.length > 0 ? `Push (${this.filesToPush.length})` : "Push"
+		const selectedPushCount = sync.filesToPush.filter(f => sync.isSelected(f)).length
+		const selectedPullCount = sync.filesToPull.filter(f => sync.isSelected(f)).length
+
+		const pushLabel = sync.filesToPush.length > 0 ? `Push (${formatSelectionCount(selectedPushCount, sync.filesToPush.length)})` : "Push"
 		const pushBtn = btnContainer.createEl("button", { text: pushLabel, cls: "mod-cta", attr: { style: "flex: 1;" } })
 
-		if (this.filesToPush.length === 0) {
+		if (selectedPushCount === 0) {
 			pushBtn.disabled = true
-		} else if (this.filesToPull.length > 0) {
+		} else if (sync.filesToPull.length > 0) {
 			setTooltip(pushBtn, "Warning: You have remote changes. Please Pull before Pushing to avoid conflicts.", { placement: "top" })
 			pushBtn.addClass("gitpush-warning")
 		}
-		if (this.conflicts.length > 0) {
+		if (sync.conflicts.length > 0) {
 			pushBtn.disabled = true
 			setTooltip(pushBtn, "Please resolve conflicts before pushing.", { placement: "top" })
 		}
-		if (this.remoteError) {
+		if (sync.remoteError) {
 			pushBtn.disabled = true
 		}
 
-		pushBtn.addEventListener("click", () => this.onPush())
+		pushBtn.addEventListener("click", () => this.onPush(sync))
 
-		const pullLabel = this.filesToPull.length > 0 ? `Pull (${this.filesToPull.length})` : "Pull"
+		const pullLabel = sync.filesToPull.length > 0 ? `Pull (${formatSelectionCount(selectedPullCount, sync.filesToPull.length)})` : "Pull"
 		const pullBtn = btnContainer.createEl("button", { text: pullLabel, attr: { style: "flex: 1;" } })
 
-		if (this.filesToPull.length === 0) {
+		if (selectedPullCount === 0) {
 			pullBtn.disabled = true
 		}
-		if (this.conflicts.length > 0) {
+		if (sync.conflicts.length > 0) {
 			pullBtn.disabled = true
 			setTooltip(pullBtn, "Please resolve conflicts before pulling.", { placement: "top" })
 		}
-		if (this.remoteError) {
+		if (sync.remoteError) {
 			pullBtn.disabled = true
 		}
 
-		pullBtn.addEventListener("click", () => this.onPull())
+		pullBtn.addEventListener("click", () => this.onPull(sync))
 
 		const listsSection = contentEl.createDiv({ attr: { style: "padding: 10px; flex: 1; display: flex; flex-direction: column; overflow: hidden; gap: 10px;" } })
 
-		if (this.filesToPush.length > 0) {
-			listsSection.createEl("h4", { text: "Local Changes (Push)", attr: { style: "margin: 0; font-size: 0.8em; text-transform: uppercase;" } })
-			const pushList = listsSection.createDiv({ attr: { style: "max-height: 150px; overflow-y: auto; font-size: 0.85em; border: 1px solid var(--background-modifier-border); border-radius: 4px; padding: 5px;" } })
-			this.filesToPush.forEach(f => {
-				const div = pushList.createDiv({ attr: { style: "display: flex; justify-content: space-between;" } })
-				div.createSpan({ text: f.localPath || f.localPath })
-				div.createSpan({ text: f.status, attr: { style: "color: var(--text-muted); font-size: 0.9em;" } })
-			})
+		if (sync.filesToPush.length > 0) {
+			this.renderFileList(listsSection, sync, "Local Changes (Push)", sync.filesToPush, "push")
 		}
 
-		if (this.filesToPull.length > 0) {
-			listsSection.createEl("h4", { text: "Remote Changes (Pull)", attr: { style: "margin: 0; font-size: 0.8em; text-transform: uppercase;" } })
-			const pullList = listsSection.createDiv({ attr: { style: "max-height: 150px; overflow-y: auto; font-size: 0.85em; border: 1px solid var(--background-modifier-border); border-radius: 4px; padding: 5px;" } })
-			this.filesToPull.forEach(f => {
-				const prefix = (this.repoConfig.path || "").replace(/^\//, "").replace(/\/$/, "")
-				const relativePath = f.pathInRepo.startsWith(prefix) ? f.pathInRepo.substring(prefix.length).replace(/^\//, "") : f.pathInRepo
-				const div = pullList.createDiv({ attr: { style: "display: flex; justify-content: space-between;" } })
-				div.createSpan({ text: relativePath })
-				div.createSpan({ text: f.status, attr: { style: "color: var(--text-muted); font-size: 0.9em;" } })
-			})
+		if (sync.filesToPull.length > 0) {
+			this.renderFileList(listsSection, sync, "Remote Changes (Pull)", sync.filesToPull, "pull")
 		}
 
-		if (this.filesToPush.length === 0 && this.filesToPull.length === 0 && this.conflicts.length === 0) {
+		if (sync.filesToPush.length === 0 && sync.filesToPull.length === 0 && sync.conflicts.length === 0) {
 			listsSection.createDiv({ text: "No changes detected.", attr: { style: "color: var(--text-muted); text-align: center; margin-top: 20px;" } })
 		}
 	}
-}
 
-export default class GitPushPlugin extends Plugin {
-	async onload() {
-		await this.loadSettings()
+	renderWarning(container, title, lines, hint) {
+		const warningSection = container.createDiv({
+			attr: { style: "padding: 10px; margin: 0 10px 10px 10px; border: 1px solid var(--text-warning); border-radius: 4px; font-size: 0.8em;" }
+		})
+		warningSection.createEl("h4", { text: title, attr: { style: "margin: 0 0 5px 0; color: var(--text-warning); font-size: 1em; text-transform: uppercase;" } })
+		lines.forEach(line => warningSection.createDiv({ text: line, attr: { style: "word-break: break-all; margin-bottom: 4px;" } }))
+		warningSection.createDiv({ text: hint, attr: { style: "color: var(--text-muted);" } })
+	}
 
-		this.registerView(
-			VIEW_TYPE_GITPUSH,
-			(leaf) => new GitPushView(leaf, this)
-		)
+	renderFileList(container, sync, title, items, kind) {
+		const header = container.createDiv({ attr: { style: "display: flex; justify-content: space-between; align-items: center;" } })
+		header.createEl("h4", { text: title, attr: { style: "margin: 0; font-size: 0.8em; text-transform: uppercase;" } })
 
-		this.addCommand({
-			id: "open-gitpush-panel",
-			name: "Open GitPush Panel",
-			callback: () => this.activateView(),
+		const selectLinks = header.createDiv({ attr: { style: "font-size: 0.75em; display: flex; gap: 8px;" } })
+		selectLinks.createEl("a", { text: "All", href: "#" }).addEventListener("click", (e) => {
+			e.preventDefault()
+			sync.setSelected(items, true)
+		})
+		selectLinks.createEl("a", { text: "None", href: "#" }).addEventListener("click", (e) => {
+			e.preventDefault()
+			sync.setSelected(items, false)
 		})
 
-		this.addSettingTab(new GitPushSettingTab(this.app, this))
-	}
-
-	async activateView() {
-		const { workspace } = this.app
-		let leaf = workspace.getLeavesOfType(VIEW_TYPE_GITPUSH)[0]
+		const list = container.createDiv({ attr: { style: "max-height: 150px; overflow-y: auto; font-size: 0.85em; border: 1px solid var(--background-modifier-border); border-radius: 4px; padding: 5px;" } })
 
-		if (!leaf) {
-			leaf = workspace.getRightLeaf(false)
-			await leaf.setViewState({ type: VIEW_TYPE_GITPUSH, active: true })
+		// Group entries by folder so a whole folder can be included or left out at once
+		const groups = new Map()
+		for (const item of items) {
+			const relativePath = sync.getRelativePath(item.pathInRepo)
+			const folder = relativePath.includes("/") ? relativePath.substring(0, relativePath.lastIndexOf("/")) : ""
+			if (!groups.has(folder)) groups.set(folder, [])
+			groups.get(folder).push({ item, relativePath })
 		}
 
-		workspace.revealLeaf(leaf)
-	}
+		const folders = [...groups.keys()].sort()
+		for (const folder of folders) {
+			const entries = groups.get(folder)
+
+			if (folder) {
+				const folderRow = list.createDiv({ attr: { style: "display: flex; align-items: center; gap: 5px; font-weight: bold; margin-top: 4px;" } })
+				const selectedCount = entries.filter(e => sync.isSelected(e.item)).length
+				const folderCheckbox = folderRow.createEl("input", { type: "checkbox" })
+				folderCheckbox.checked = selectedCount === entries.length
+				folderCheckbox.indeterminate = selectedCount > 0 && selectedCount < entries.length
+				folderCheckbox.addEventListener("change", () => sync.setSelected(entries.map(e => e.item), folderCheckbox.checked))
+				folderRow.createSpan({ text: `${folder}/` })
+			}
 
-	async loadSettings() {
-		this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData())
+			for (const { item, relativePath } of entries) {
+				const div = list.createDiv({ cls: "gitpush-file-entry", attr: { style: `display: flex; align-items: center; gap: 5px;${folder ? " padding-left: 18px;" : ""}` } })
+				const checkbox = div.createEl("input", { type: "checkbox" })
+				checkbox.checked = sync.isSelected(item)
+				checkbox.addEventListener("click", (e) => e.stopPropagation())
+				checkbox.addEventListener("change", () => sync.setSelected([item], checkbox.checked))
+
+				div.createSpan({ text: folder ? relativePath.substring(folder.length + 1) : relativePath, attr: { style: "flex: 1; word-break: break-all;" } })
+				const statusEl = div.createSpan({ text: item.status, attr: { style: "color: var(--text-muted); font-size: 0.9em;" } })
+				if (item.oldPathInRepo) setTooltip(statusEl, `From ${sync.getRelativePath(item.oldPathInRepo)}`, { placement: "top" })
+				div.addEventListener("click", () => this.openDiff(sync, item, kind))
+			}
+		}
 	}
+}
 
-	async saveSettings() {
-		await this.saveData(this.settings)
-	}
+function renderCommitSummary(containerEl, commit) {
+	const message = commit.message.split("\n")[0]
+	containerEl.createDiv({ text: message, attr: { style: "font-weight: bold; word-break: break-word;" } })
+	containerEl.createDiv({
+		text: `${commit.author} · ${moment(commit.date).fromNow()} · ${commit.sha.substring(0, 7)}`,
+		attr: { style: "font-size: 0.8em; color: var(--text-muted);" }
+	})
 }
 
-class GitPushSettingTab extends PluginSettingTab {
-	constructor(app, plugin) {
-		super(app, plugin)
-		this.plugin = plugin
+class GitPushHistoryView extends ItemView {
+	constructor(leaf, plugin) {
+		super(leaf)
+		this.plugin = plugin
+
+		this.sync = null
+		this.commits = null
+		this.error = null
+		this.isLoading = false
+		this.expanded = new Map() // commit sha -> changed files (null while loading)
+	}
+
+	getViewType() {
+		return VIEW_TYPE_GITPUSH_HISTORY
+	}
+
+	getDisplayText() {
+		return "GitPush History"
+	}
+
+	getIcon() {
+		return "history"
+	}
+
+	async onOpen() {
+		this.app.workspace.onLayoutReady(() => {
+			this.refresh()
+		})
+
+		this.registerEvent(this.app.workspace.on("file-open", (file) => {
+			this.refresh({ activeFile: file })
+		}))
+	}
+
+	async refresh({ activeFile = undefined, force = false } = {}) {
+		const file = activeFile === undefined ? this.app.workspace.getActiveFile() : activeFile
+		const sync = await this.plugin.getSyncForFile(file)
+		if (sync === this.sync && !force) return
+
+		this.sync = sync
+		this.commits = null
+		this.error = null
+		this.expanded.clear()
+
+		if (!sync || !sync.isConfigured()) {
+			this.render()
+			return
+		}
+
+		this.isLoading = true
+		this.render()
+
+		try {
+			const commits = await sync.listCommits()
+			if (sync === this.sync) this.commits = commits
+		} catch (e) {
+			console.error("Failed to list commits", e)
+			if (sync === this.sync) this.error = e.message || "Unknown error"
+		} finally {
+			this.isLoading = false
+			this.render()
+		}
+	}
+
+	async toggleCommit(commit) {
+		if (this.expanded.has(commit.sha)) {
+			this.expanded.delete(commit.sha)
+			this.render()
+			return
+		}
+
+		this.expanded.set(commit.sha, null)
+		this.render()
+
+		try {
+			this.expanded.set(commit.sha, await this.sync.getCommitFiles(commit.sha))
+		} catch (e) {
+			console.error(e)
+			this.expanded.delete(commit.sha)
+			new Notice(`Failed to load commit: ${e.message}`)
+		}
+		this.render()
+	}
+
+	render() {
+		const { contentEl } = this
+		contentEl.empty()
+		contentEl.addClass("gitpush-side-panel")
+
+		const sync = this.sync
+		if (!sync) {
+			contentEl.createEl("div", {
+				text: "No repository configuration found for the current file.",
+				attr: { style: "padding: 15px; color: var(--text-muted); font-size: 0.9em;" }
+			})
+			return
+		}
+
+		const repoSection = contentEl.createDiv({ cls: "gitpush-repo-info", attr: { style: "padding: 10px; margin: 10px; border: 1px solid var(--background-modifier-border); position: relative;" } })
+		const repoHeader = repoSection.createEl("h4", { attr: { style: "margin: 0 0 5px 0; font-size: 0.8em; text-transform: uppercase;" } })
+		repoHeader.createSpan({ text: "History " })
+		repoHeader.createSpan({ text: "• GitPush", attr: { style: "opacity: 0.5;" } })
+
+		const refreshBtn = repoSection.createEl("button", {
+			cls: "clickable-icon",
+			attr: { style: "position: absolute; top: 5px; right: 5px; height: 24px; width: 24px; padding: 0;" }
+		})
+		setIcon(refreshBtn, "refresh-cw")
+		refreshBtn.addEventListener("click", () => this.refresh({ force: true }))
+
+		repoSection.createDiv({ text: sync.repoConfig.repo, attr: { style: "font-weight: bold; overflow: hidden; text-overflow: ellipsis;" } })
+		repoSection.createDiv({ text: `Branch: ${sync.getBranch()} · Path: ${sync.repoConfig.path || "/"}`, attr: { style: "font-size: 0.8em; color: var(--text-muted); margin-top: 2px;" } })
+
+		const listSection = contentEl.createDiv({ attr: { style: "padding: 0 10px 10px 10px; overflow-y: auto;" } })
+
+		if (this.isLoading) {
+			listSection.createDiv({ text: "Loading commits...", attr: { style: "color: var(--text-accent); font-size: 0.9em;" } })
+			return
+		}
+		if (this.error) {
+			listSection.createDiv({ text: `Error: ${this.error}`, attr: { style: "color: var(--text-error); font-size: 0.9em;" } })
+			return
+		}
+		if (!this.commits || this.commits.length === 0) {
+			listSection.createDiv({ text: "No commits found.", attr: { style: "color: var(--text-muted); text-align: center; margin-top: 20px;" } })
+			return
+		}
+
+		for (const commit of this.commits) {
+			const item = listSection.createDiv({ cls: "gitpush-file-entry", attr: { style: "padding: 6px; border-bottom: 1px solid var(--background-modifier-border); font-size: 0.85em;" } })
+			renderCommitSummary(item, commit)
+			item.addEventListener("click", () => this.toggleCommit(commit))
+
+			if (!this.expanded.has(commit.sha)) continue
+
+			const files = this.expanded.get(commit.sha)
+			const filesEl = item.createDiv({ attr: { style: "margin-top: 5px; padding-left: 10px;" } })
+			if (!files) {
+				filesEl.createDiv({ text: "Loading...", attr: { style: "color: var(--text-muted);" } })
+				continue
+			}
+
+			for (const file of files) {
+				const row = filesEl.createDiv({ attr: { style: "display: flex; justify-content: space-between; gap: 5px;" } })
+				row.createSpan({ text: sync.getRelativePath(file.filename), attr: { style: "word-break: break-all;" } })
+				row.createSpan({ text: file.status, attr: { style: "color: var(--text-muted);" } })
+			}
+
+			if (commit.url) {
+				const link = filesEl.createEl("a", { text: `Open on ${sync.getProviderName()}`, href: commit.url, attr: { style: "display: inline-block; margin-top: 5px;" } })
+				link.addEventListener("click", (e) => e.stopPropagation())
+			}
+		}
+	}
+}
+
+class FileHistoryModal extends Modal {
+	constructor(app, sync, file) {
+		super(app)
+		this.sync = sync
+		this.file = file
+		this.pathInRepo = sync.getPathInRepo(file)
+	}
+
+	async onOpen() {
+		const { contentEl } = this
+		this.setTitle(`History of ${this.file.name}`)
+
+		const loading = contentEl.createDiv({ text: "Loading...", cls: "gitpush-diff-empty" })
+
+		let commits
+		try {
+			commits = await this.sync.listCommits({ path: this.pathInRepo })
+		} catch (e) {
+			console.error(e)
+			loading.setText(`Failed to load history: ${e.message}`)
+			return
+		}
+		loading.remove()
+
+		if (commits.length === 0) {
+			contentEl.createDiv({ text: "This file has never been pushed.", cls: "gitpush-diff-empty" })
+			return
+		}
+
+		for (const commit of commits) {
+			const row = contentEl.createDiv({ attr: { style: "display: flex; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid var(--background-modifier-border);" } })
+			renderCommitSummary(row.createDiv({ attr: { style: "flex: 1; min-width: 0;" } }), commit)
+
+			const viewBtn = row.createEl("button", { text: "View" })
+			viewBtn.addEventListener("click", () => this.viewVersion(commit))
+
+			const restoreBtn = row.createEl("button", { text: "Restore" })
+			restoreBtn.addEventListener("click", () => {
+				// Restoring overwrites the note, so ask for a second click
+				if (restoreBtn.dataset.confirm !== "true") {
+					restoreBtn.dataset.confirm = "true"
+					restoreBtn.setText("Confirm restore")
+					restoreBtn.addClass("mod-warning")
+					return
+				}
+				this.restoreVersion(commit)
+			})
+		}
+	}
+
+	async getBlobSha(commit) {
+		const blobSha = await this.sync.getBlobShaAtCommit(this.pathInRepo, commit.sha)
+		if (!blobSha) new Notice(`${this.file.name} doesn't exist in commit ${commit.sha.substring(0, 7)}.`)
+		return blobSha
+	}
+
+	async viewVersion(commit) {
+		try {
+			const blobSha = await this.getBlobSha(commit)
+			if (!blobSha) return
+
+			new DiffModal(this.app, this.sync, {
+				title: `${this.file.name} @ ${commit.sha.substring(0, 7)}`,
+				path: this.pathInRepo,
+				sides: [{ label: `Version ${commit.sha.substring(0, 7)}`, sha: blobSha }, { label: "Local", file: this.file }]
+			}).open()
+		} catch (e) {
+			console.error(e)
+			new Notice(`Failed to load version: ${e.message}`)
+		}
+	}
+
+	async restoreVersion(commit) {
+		try {
+			const blobSha = await this.getBlobSha(commit)
+			if (!blobSha) return
+
+			await this.sync.restoreVersion(this.pathInRepo, blobSha)
+			new Notice(`${this.file.name} restored to ${commit.sha.substring(0, 7)}. Push it to make it the latest version.`)
+			this.close()
+		} catch (e) {
+			console.error(e)
+			new Notice(`Failed to restore version: ${e.message}`)
+		}
+	}
+
+	onClose() {
+		this.contentEl.empty()
+	}
+}
+
+class DiffModal extends Modal {
+	// sides: [{ label, file?, sha? }], old -> new for two sides, base/local/remote for three
+	constructor(app, sync, { title, path, sides }) {
+		super(app)
+		this.sync = sync
+		this.title = title
+		this.path = path
+		this.sides = sides
+	}
+
+	async onOpen() {
+		const { contentEl, modalEl } = this
+		modalEl.addClass("gitpush-diff-modal")
+		this.setTitle(this.title)
+
+		const loading = contentEl.createDiv({ text: "Loading...", cls: "gitpush-diff-empty" })
+
+		try {
+			const contents = await Promise.all(this.sides.map(async (side) => {
+				if (side.file) return await this.sync.readLocalForRepo(side.file)
+				if (side.sha) return await this.sync.readRemoteBlob(side.sha)
+				return null
+			}))
+			loading.remove()
+			this.renderContents(contents)
+		} catch (e) {
+			console.error(e)
+			loading.setText(`Failed to load file: ${e.message}`)
+		}
+	}
+
+	renderContents(contents) {
+		const extension = this.path.split(".").pop().toLowerCase()
+
+		if (SUPPORTED_ATTACHED_MEDIAS.includes(extension)) {
+			this.renderMedia(contents, extension)
+		} else if (contents.every(c => !c || isTextContent(c))) {
+			const texts = contents.map(c => c ? c.toString("utf8") : "")
+			if (this.sides.length === 3) this.renderThreeWay(texts, contents)
+			else this.renderSideBySide(texts, contents)
+		} else {
+			const container = this.contentEl.createDiv({ cls: "gitpush-diff-columns" })
+			this.sides.forEach((side, i) => {
+				const column = container.createDiv({ cls: "gitpush-diff-column" })
+				column.createEl("h6", { text: side.label })
+				column.createDiv({
+					text: contents[i] ? `Binary file (${contents[i].byteLength} bytes)` : "(no file)",
+					cls: "gitpush-diff-empty"
+				})
+			})
+		}
+	}
+
+	renderMedia(contents, extension) {
+		const container = this.contentEl.createDiv({ cls: "gitpush-diff-columns" })
+		const mime = MEDIA_MIME_TYPES[extension]
+
+		this.sides.forEach((side, i) => {
+			const column = container.createDiv({ cls: "gitpush-diff-column" })
+			column.createEl("h6", { text: side.label })
+
+			if (!contents[i]) {
+				column.createDiv({ text: "(no file)", cls: "gitpush-diff-empty" })
+				return
+			}
+
+			const src = side.file ? this.app.vault.getResourcePath(side.file) : `data:${mime};base64,${contents[i].toString("base64")}`
+			if (mime.startsWith("video/")) {
+				column.createEl("video", { attr: { src, controls: "" }, cls: "gitpush-diff-media" })
+			} else {
+				column.createEl("img", { attr: { src }, cls: "gitpush-diff-media" })
+			}
+		})
+	}
+
+	renderSideBySide([oldText, newText], contents) {
+		const table = this.contentEl.createEl("table", { cls: "gitpush-diff-table" })
+		const header = table.createEl("tr")
+		this.sides.forEach((side, i) => header.createEl("th", { text: contents[i] ? side.label : `${side.label} (no file)`, attr: { colspan: "2" } }))
+
+		// Pair consecutive removed/added lines on the same row, like most side-by-side viewers
+		const rows = []
+		let removed = []
+		let added = []
+		const flush = () => {
+			for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+				rows.push([removed[i], added[i]])
+			}
+			removed = []
+			added = []
+		}
+
+		let oldLine = 0
+		let newLine = 0
+		for (const op of diffLines(oldText, newText)) {
+			if (op.type === "removed") {
+				removed.push({ number: ++oldLine, text: op.text, cls: "gitpush-diff-removed" })
+			} else if (op.type === "added") {
+				added.push({ number: ++newLine, text: op.text, cls: "gitpush-diff-added" })
+			} else {
+				flush()
+				rows.push([{ number: ++oldLine, text: op.text }, { number: ++newLine, text: op.text }])
+			}
+		}
+		flush()
+
+		for (const cells of rows) {
+			const tr = table.createEl("tr")
+			for (const cell of cells) {
+				if (!cell) {
+					tr.createEl("td", { cls: "gitpush-diff-number" })
+					tr.createEl("td", { cls: "gitpush-diff-line gitpush-diff-blank" })
+					continue
+				}
+				tr.createEl("td", { text: String(cell.number), cls: "gitpush-diff-number" })
+				tr.createEl("td", { text: cell.text, cls: `gitpush-diff-line ${cell.cls || ""}` })
+			}
+		}
+	}
+
+	renderThreeWay([baseText, localText, remoteText], contents) {
+		const base = splitLines(baseText)
+		const local = splitLines(localText)
+		const remote = splitLines(remoteText)
+		const matchLocal = matchLines(base, local)
+		const matchRemote = matchLines(base, remote)
+
+		// Lines of each side that don't come from the base are highlighted, as are base lines dropped by either side
+		const keptInLocal = new Set(matchLocal.filter(j => j !== undefined))
+		const keptInRemote = new Set(matchRemote.filter(j => j !== undefined))
+		const columns = [
+			base.map((text, i) => ({ text, cls: matchLocal[i] === undefined || matchRemote[i] === undefined ? "gitpush-diff-removed" : "" })),
+			local.map((text, j) => ({ text, cls: keptInLocal.has(j) ? "" : "gitpush-diff-added" })),
+			remote.map((text, j) => ({ text, cls: keptInRemote.has(j) ? "" : "gitpush-diff-added" }))
+		]
+
+		const container = this.contentEl.createDiv({ cls: "gitpush-diff-columns" })
+		this.sides.forEach((side, i) => {
+			const column = container.createDiv({ cls: "gitpush-diff-column" })
+			column.createEl("h6", { text: contents[i] ? side.label : `${side.label} (no file)` })
+
+			const table = column.createEl("table", { cls: "gitpush-diff-table" })
+			if (!contents[i]) return
+			columns[i].forEach((line, n) => {
+				const tr = table.createEl("tr")
+				tr.createEl("td", { text: String(n + 1), cls: "gitpush-diff-number" })
+				tr.createEl("td", { text: line.text, cls: `gitpush-diff-line ${line.cls}` })
+			})
+		})
+	}
+
+	onClose() {
+		this.contentEl.empty()
+	}
+}
+
+class NewBranchModal extends Modal {
+	constructor(app, fromBranch, onSubmit) {
+		super(app)
+		this.fromBranch = fromBranch
+		this.onSubmit = onSubmit
+	}
+
+	onOpen() {
+		const { contentEl } = this
+		this.setTitle("Create a new branch")
+
+		let name = ""
+		new Setting(contentEl)
+			.setName("Branch name")
+			.setDesc(`The branch will be created from the current head of "${this.fromBranch}".`)
+			.addText(text => {
+				text.setPlaceholder("my-branch").onChange(value => name = value.trim())
+				text.inputEl.addEventListener("keydown", (e) => {
+					if (e.key === "Enter") submit()
+				})
+			})
+
+		const submit = () => {
+			if (!name) return
+			this.close()
+			this.onSubmit(name)
+		}
+
+		new Setting(contentEl)
+			.addButton(btn => btn.setButtonText("Create").setCta().onClick(submit))
+	}
+
+	onClose() {
+		this.contentEl.empty()
+	}
+}
+
+// Guided editing of a folder's .obsidian-gitpush.json, checked against the repository before being written.
+// Keys without a field (autoSync, transforms...) and the other targets of an array are kept as they are.
+class RepoConfigModal extends Modal {
+	constructor(app, plugin, folder) {
+		super(app)
+		this.plugin = plugin
+		this.folder = folder
+		this.configPath = normalizePath(`${folder.path}/${CONFIG_FILE_NAME}`)
+
+		this.targets = [{}]
+		this.isArray = false
+		this.index = 0 // target being edited
+		this.branchTimer = null
+	}
+
+	async onOpen() {
+		this.setTitle(`Link ${this.folder.isRoot() ? "the vault" : this.folder.path} to a repository`)
+
+		if (await this.app.vault.adapter.exists(this.configPath)) {
+			let parsed
+			try {
+				parsed = parseRepoConfig(await this.app.vault.adapter.read(this.configPath))
+			} catch (e) {
+				parsed = { config: null, errors: [e.message] }
+			}
+
+			const { config, errors } = parsed
+			if (Array.isArray(config) && config.length > 0) {
+				this.targets = config.map(target => target && typeof target === "object" ? { ...target } : {})
+				this.isArray = true
+			} else if (config && typeof config === "object") {
+				this.targets = [{ ...config }]
+			}
+			this.fileErrors = errors
+		}
+
+		this.render()
+	}
+
+	get target() {
+		return this.targets[this.index]
+	}
+
+	// Local repositories are set by their folder on disk instead of "owner/repo"
+	get repoKey() {
+		return getProviderType(this.target) === "local" ? "gitDir" : "repo"
+	}
+
+	getProvider(target) {
+		const token = this.plugin.getToken(target.tokenSecret)
+		if (getProviderType(target) !== "local" && !token) return null
+		try {
+			return createProvider({ ...target, repo: target.repo || "" }, token)
+		} catch (e) {
+			return null
+		}
+	}
+
+	render() {
+		const { contentEl } = this
+		contentEl.empty()
+
+		if (this.fileErrors && this.fileErrors.length > 0) {
+			const box = contentEl.createDiv({ attr: { style: "color: var(--text-error); font-size: 0.9em; margin-bottom: 10px;" } })
+			box.createDiv({ text: "The current file is invalid, saving will replace it:" })
+			const list = box.createEl("ul", { attr: { style: "margin: 5px 0;" } })
+			this.fileErrors.forEach(error => list.createEl("li", { text: error }))
+		}
+
+		if (this.targets.length > 1) {
+			new Setting(contentEl)
+				.setName("Target")
+				.setDesc("This folder is pushed to several repositories, pick the one to edit.")
+				.addDropdown(dropdown => {
+					this.targets.forEach((target, index) => dropdown.addOption(String(index), target.name || target.repo || `Target ${index + 1}`))
+					dropdown.setValue(String(this.index)).onChange(value => {
+						this.index = Number(value)
+						this.render()
+					})
+				})
+		}
+
+		const isLocal = this.repoKey === "gitDir"
+		const repoList = contentEl.createEl("datalist", { attr: { id: "gitpush-repo-list" } })
+		const branchList = contentEl.createEl("datalist", { attr: { id: "gitpush-branch-list" } })
+
+		new Setting(contentEl)
+			.setName(isLocal ? "Git directory" : "Repository")
+			.setDesc(isLocal ? "Path of the bare repository on disk." : "In \"owner/repository\" format, pick one of yours or type it.")
+			.addText(text => {
+				text.setPlaceholder(isLocal ? "/path/to/notes.git" : "username/repository")
+					.setValue(this.target[this.repoKey] || "")
+					.onChange(value => {
+						this.setField(this.repoKey, value)
+						this.scheduleBranchList(branchList)
+					})
+				text.inputEl.setAttr("list", "gitpush-repo-list")
+				text.inputEl.style.width = "100%"
+			})
+
+		new Setting(contentEl)
+			.setName("Branch")
+			.setDesc("Branch pushed to and pulled from, \"main\" by default.")
+			.addText(text => {
+				text.setPlaceholder("main").setValue(this.target.branch || "").onChange(value => this.setField("branch", value))
+				text.inputEl.setAttr("list", "gitpush-branch-list")
+			})
+
+		new Setting(contentEl)
+			.setName("Path in the repository")
+			.setDesc("Folder of the repository the notes go to, the root by default.")
+			.addText(text => text.setPlaceholder("content").setValue(this.target.path || "").onChange(value => this.setField("path", value)))
+
+		new Setting(contentEl)
+			.setName("Images path")
+			.setDesc("Folder of the repository the attachments go to, \"images\" by default.")
+			.addText(text => text.setPlaceholder("images").setValue(this.target.imagesPath || "").onChange(value => this.setField("imagesPath", value)))
+
+		this.messagesEl = contentEl.createDiv({ attr: { style: "font-size: 0.9em;" } })
+
+		new Setting(contentEl)
+			.addButton(btn => btn.setButtonText("Check").onClick(() => this.check()))
+			.addButton(btn => btn.setButtonText("Save").setCta().onClick(() => this.save()))
+
+		this.loadRepositories(repoList)
+		this.loadBranches(branchList)
+	}
+
+	setField(key, value) {
+		value = value.trim()
+		if (value) this.target[key] = value
+		else delete this.target[key]
+	}
+
+	async loadRepositories(listEl) {
+		const provider = this.getProvider(this.target)
+		if (!provider) return
+		try {
+			const repos = await provider.listRepositories()
+			repos.forEach(repo => listEl.createEl("option", { attr: { value: repo } }))
+		} catch (e) {
+			console.error("Failed to list repositories", e)
+		}
+	}
+
+	// Branches follow the repository being typed, once it stopped changing for a moment
+	scheduleBranchList(listEl) {
+		if (this.branchTimer) clearTimeout(this.branchTimer)
+		this.branchTimer = setTimeout(() => this.loadBranches(listEl), 500)
+	}
+
+	async loadBranches(listEl) {
+		const target = { ...this.target }
+		const provider = target[this.repoKey] && validateRepoConfig(target).length === 0 ? this.getProvider(target) : null
+		listEl.empty()
+		if (!provider) return
+		try {
+			const branches = await provider.listBranches()
+			if (this.target[this.repoKey] === target[this.repoKey]) branches.forEach(branch => listEl.createEl("option", { attr: { value: branch } }))
+		} catch (e) {
+			// Reported by "Check", the repository may still be being typed
+		}
+	}
+
+	buildConfig() {
+		return this.isArray ? this.targets : this.target
+	}
+
+	// Schema first, then the repository itself. Returns whether the config can be saved.
+	async check() {
+		const el = this.messagesEl
+		el.empty()
+		el.setText("Checking...")
+
+		const config = this.buildConfig()
+		let errors = validateRepoConfig(config)
+		let warnings = []
+
+		if (errors.length === 0) {
+			const provider = this.getProvider(this.target)
+			if (!provider) {
+				warnings.push("No token set, the repository couldn't be checked.")
+			} else {
+				try {
+					({ errors, warnings } = await checkTargetRemote(provider, { ...this.target, repo: this.target[this.repoKey] }))
+				} catch (e) {
+					errors = [e.status === 401 ? "the token is invalid or expired" : e.message]
+				}
+			}
+		}
+
+		el.empty()
+		const list = el.createEl("ul", { attr: { style: "margin: 5px 0;" } })
+		errors.forEach(error => list.createEl("li", { text: error, attr: { style: "color: var(--text-error);" } }))
+		warnings.forEach(warning => list.createEl("li", { text: warning, attr: { style: "color: var(--text-muted);" } }))
+		if (errors.length === 0 && warnings.length === 0) list.createEl("li", { text: "Everything looks good.", attr: { style: "color: var(--text-success);" } })
+
+		return errors.length === 0
+	}
+
+	async save() {
+		if (!await this.check()) return
+
+		await this.app.vault.adapter.write(this.configPath, `${JSON.stringify(this.buildConfig(), null, 2)}\n`)
+		new Notice(`GitPush: ${this.folder.isRoot() ? "the vault" : this.folder.path} is linked to ${this.target[this.repoKey]}`)
+		this.close()
+		await this.plugin.onRepoConfigChanged()
+	}
+
+	onClose() {
+		if (this.branchTimer) clearTimeout(this.branchTimer)
+		this.contentEl.empty()
+	}
+}
+
+class DeviceFlowModal extends Modal {
+	constructor(app, plugin) {
+		super(app)
+		this.plugin = plugin
+		this.cancelled = false
+	}
+
+	async onOpen() {
+		const { contentEl } = this
+		this.setTitle("Sign in with GitHub")
+		const statusEl = contentEl.createDiv({ text: "Requesting a code..." })
+
+		const clientId = this.plugin.settings.oauthClientId
+		try {
+			const device = await requestDeviceCode(clientId)
+			if (this.cancelled) return
+
+			statusEl.setText(`Enter this code on ${device.verification_uri}, then come back here:`)
+			contentEl.createDiv({ text: device.user_code, attr: { style: "font-family: var(--font-monospace); font-size: 2em; text-align: center; margin: 15px 0; user-select: all;" } })
+			new Setting(contentEl)
+				.addButton(btn => btn.setButtonText("Copy code and open GitHub").setCta().onClick(() => {
+					navigator.clipboard.writeText(device.user_code)
+					window.open(device.verification_uri)
+				}))
+
+			const token = await pollDeviceToken(clientId, device, () => this.cancelled)
+			if (!token) return
+
+			await this.plugin.setToken(token)
+			new Notice("GitPush: signed in to GitHub")
+			this.close()
+		} catch (e) {
+			if (this.cancelled) return
+			console.error("GitPush device flow error:", e)
+			statusEl.setText(`Sign in failed: ${e.message}`)
+		}
+	}
+
+	onClose() {
+		this.cancelled = true
+		this.contentEl.empty()
+	}
+}
+
+export default class GitPushPlugin extends Plugin {
+	async onload() {
+		await this.loadSettings()
+
+		this.events = new Events()
+		this.syncs = new Map() // target id -> RepoSync
+		this.configErrors = new Map() // folder path -> errors of its broken config file
+		this.knownSyncs = null // targets found by the last scan of the vault, null when it must be scanned again
+
+		this.registerView(
+			VIEW_TYPE_GITPUSH,
+			(leaf) => new GitPushView(leaf, this)
+		)
+
+		this.registerView(
+			VIEW_TYPE_GITPUSH_HISTORY,
+			(leaf) => new GitPushHistoryView(leaf, this)
+		)
+
+		this.addRibbonIcon("github", "Open GitPush panel", () => this.activateView())
+
+		this.activeSyncs = [] // targets of the active file, closest config first
+		this.statusBarEl = this.addStatusBarItem()
+		this.statusBarEl.addClass("gitpush-status-bar", "mod-clickable")
+		this.statusBarEl.addEventListener("click", () => this.activateView())
+		this.renderStatusBar()
+
+		this.registerEvent(this.app.workspace.on("file-open", (file) => this.updateActiveSync(file)))
+		this.registerEvent(this.events.on("sync-changed", (sync) => {
+			if (this.activeSyncs.includes(sync)) this.renderStatusBar()
+		}))
+
+		this.addCommand({
+			id: "open-gitpush-panel",
+			name: "Open GitPush Panel",
+			callback: () => this.activateView(),
+		})
+
+		this.addCommand({
+			id: "open-gitpush-overview",
+			name: "Show all linked folders",
+			callback: async () => {
+				const leaf = await this.activateView()
+				if (leaf.view instanceof GitPushView) await leaf.view.setMode("all")
+			},
+		})
+
+		this.addCommand({
+			id: "open-gitpush-history",
+			name: "Open commit history",
+			callback: () => this.activateView(VIEW_TYPE_GITPUSH_HISTORY),
+		})
+
+		this.addCommand({
+			id: "show-file-history",
+			name: "Show history of the current file",
+			checkCallback: (checking) => {
+				const sync = this.activeSyncs[0]
+				if (!sync) return false
+
+				const file = this.app.workspace.getActiveFile()
+				if (!checking && file) new FileHistoryModal(this.app, sync, file).open()
+				return true
+			},
+		})
+
+		this.addCommand({
+			id: "push-current-repository",
+			name: "Push current repository",
+			checkCallback: (checking) => this.withActiveSync(checking, (sync) => this.pushRepository(sync)),
+		})
+
+		this.addCommand({
+			id: "pull-current-repository",
+			name: "Pull current repository",
+			checkCallback: (checking) => this.withActiveSync(checking, (sync) => this.pullRepository(sync)),
+		})
+
+		this.addCommand({
+			id: "refresh-remote-status",
+			name: "Refresh remote status",
+			checkCallback: (checking) => this.withActiveSync(checking, (sync) => sync.refresh({ fetchRemote: true })),
+		})
+
+		this.addCommand({
+			id: "push-current-file",
+			name: "Push only the current file",
+			checkCallback: (checking) => this.withActiveSync(checking, (sync) => this.pushFile(sync, this.app.workspace.getActiveFile())),
+		})
+
+		this.addCommand({
+			id: "resolve-conflicts-keep-local",
+			name: "Resolve all conflicts keeping local",
+			checkCallback: (checking) => this.withActiveSync(checking, (sync) => sync.resolveAllConflicts("local")),
+		})
+
+		this.addCommand({
+			id: "resolve-conflicts-keep-remote",
+			name: "Resolve all conflicts keeping remote",
+			checkCallback: (checking) => this.withActiveSync(checking, (sync) => sync.resolveAllConflicts("remote")),
+		})
+
+		this.registerEvent(this.app.workspace.on("file-menu", (menu, file) => {
+			if (!(file instanceof TFolder)) return
+			menu.addItem(item => item
+				.setTitle("Link folder to GitHub repository")
+				.setIcon("github")
+				.onClick(() => new RepoConfigModal(this.app, this, file).open()))
+		}))
+
+		this.addSettingTab(new GitPushSettingTab(this.app, this))
+
+		this.registerEvent(this.app.vault.on("modify", (file) => this.onVaultChange(file.path)))
+		this.registerEvent(this.app.vault.on("create", (file) => this.onVaultChange(file.path, file)))
+		this.registerEvent(this.app.vault.on("delete", (file) => this.onVaultChange(file.path, file)))
+		this.registerEvent(this.app.vault.on("rename", (file, oldPath) => {
+			this.onVaultChange(file.path, file)
+			this.onVaultChange(oldPath)
+		}))
+		// Config files are dotfiles, only the untyped "raw" event reports their edits
+		this.registerEvent(this.app.vault.on("raw", (path) => {
+			if (path.split("/").pop() === CONFIG_FILE_NAME) this.knownSyncs = null
+		}))
+
+		this.app.workspace.onLayoutReady(() => {
+			this.updateActiveSync(this.app.workspace.getActiveFile())
+			this.runAutoSync()
+		})
+		this.registerInterval(window.setInterval(() => this.runAutoSync(), AUTO_SYNC_TICK))
+	}
+
+	async hasRepoConfig(folder) {
+		return await this.app.vault.adapter.exists(normalizePath(`${folder.path}/${CONFIG_FILE_NAME}`))
+	}
+
+	// Broken configs are ignored, their errors are kept to be shown in the panel
+	async readRepoConfig(folder) {
+		const configPath = normalizePath(`${folder.path}/${CONFIG_FILE_NAME}`)
+		if (!await this.app.vault.adapter.exists(configPath)) {
+			this.configErrors.delete(folder.path)
+			return null
+		}
+
+		let result
+		try {
+			result = parseRepoConfig(await this.app.vault.adapter.read(configPath))
+		} catch (e) {
+			result = { config: null, errors: [e.message] }
+		}
+
+		if (result.errors.length > 0) {
+			// Logged once, this is read again on every refresh
+			const previous = this.configErrors.get(folder.path)
+			if (!previous || previous.join("\n") !== result.errors.join("\n")) console.error(`Invalid ${configPath}`, result.errors)
+			this.configErrors.set(folder.path, result.errors)
+			return null
+		}
+		this.configErrors.delete(folder.path)
+		return result.config
+	}
+
+	// [folder path, errors] of the broken configs in the folders containing the file
+	getConfigErrorsForFile(file) {
+		const found = []
+		for (let folder = file ? file.parent : null; folder; folder = folder.parent) {
+			if (this.configErrors.has(folder.path)) found.push([folder.path, this.configErrors.get(folder.path)])
+		}
+		return found
+	}
+
+	// Config files are dotfiles, edits aren't seen by the vault events: views and status bar are refreshed by hand
+	async onRepoConfigChanged() {
+		this.knownSyncs = null
+		for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE_GITPUSH)) {
+			if (leaf.view instanceof GitPushView) await leaf.view.refresh({ fetchRemote: true })
+		}
+		await this.updateActiveSync(this.app.workspace.getActiveFile())
+	}
+
+	// One RepoSync per target of the config, a config being either a single target or an array of them
+	getSyncs(configPath, config) {
+		const targets = getRepoTargets(config)
+		const syncs = targets.map((target, index) => {
+			const id = Array.isArray(config) ? `${configPath}#${target.name || index}` : configPath
+			let sync = this.syncs.get(id)
+			if (sync) {
+				sync.setConfig(target)
+			} else {
+				sync = new RepoSync(this, configPath, target, id)
+				this.syncs.set(id, sync)
+			}
+			return sync
+		})
+
+		// Targets removed from the config
+		for (const [id, sync] of this.syncs) {
+			if (sync.repoConfigPath === configPath && !syncs.includes(sync)) this.syncs.delete(id)
+		}
+		return syncs
+	}
+
+	// Walks up from the file to the closest folder holding a config file. Configs further up only
+	// apply to it through their targets with "includeNested", listed after the closest config's targets.
+	async getSyncsForFile(file) {
+		const found = []
+		let currentFolder = file ? file.parent : null
+		while (currentFolder) {
+			const config = await this.readRepoConfig(currentFolder)
+			if (config) {
+				const syncs = this.getSyncs(currentFolder.path, config)
+				found.push(...(found.length === 0 ? syncs : syncs.filter(sync => sync.repoConfig.includeNested)))
+			}
+
+			if (currentFolder.isRoot()) break
+			currentFolder = currentFolder.parent
+		}
+		return found
+	}
+
+	async getSyncForFile(file) {
+		const syncs = await this.getSyncsForFile(file)
+		return syncs[0] || null
+	}
+
+	// Config files are dotfiles, which Obsidian doesn't index, so every folder has to be checked
+	async discoverRepoConfigs() {
+		const found = []
+		const folders = this.app.vault.getAllLoadedFiles().filter(f => f instanceof TFolder)
+
+		for (const folder of folders) {
+			const config = await this.readRepoConfig(folder)
+			if (config) found.push(...this.getSyncs(folder.path, config))
+		}
+
+		for (const path of this.configErrors.keys()) {
+			if (!folders.some(folder => folder.path === path)) this.configErrors.delete(path)
+		}
+
+		for (const [id, sync] of this.syncs) {
+			if (!found.includes(sync)) this.syncs.delete(id)
+		}
+		this.knownSyncs = found
+		return found
+	}
+
+	// Targets of the last scan, the vault is only scanned again after a change of its folders or configs
+	async getKnownSyncs() {
+		return this.knownSyncs || await this.discoverRepoConfigs()
+	}
+
+	// Commands run on every target of the active file, one after the other
+	withActiveSync(checking, action) {
+		if (this.activeSyncs.length === 0) return false
+		if (!checking) {
+			(async () => {
+				for (const sync of this.activeSyncs) await action(sync)
+			})()
+		}
+		return true
+	}
+
+	// Fetches the remote state first, so commands never act on an outdated diff
+	async prepareSync(sync) {
+		await sync.refresh({ fetchRemote: true })
+
+		if (sync.remoteError) {
+			new Notice(`GitPush: ${sync.remoteError}`)
+			return false
+		}
+		if (sync.conflicts.length > 0) {
+			new Notice(`GitPush: resolve the ${sync.conflicts.length} conflict(s) of ${sync.repoConfig.repo} first.`)
+			return false
+		}
+		return true
+	}
+
+	async pushRepository(sync, message = "") {
+		if (!await this.prepareSync(sync)) return false
+		if (!sync.filesToPush.some(f => sync.isSelected(f))) {
+			new Notice("GitPush: nothing to push.")
+			return false
+		}
+		return await sync.push({ message })
+	}
+
+	async pullRepository(sync) {
+		if (!await this.prepareSync(sync)) return false
+		if (!sync.filesToPull.some(f => sync.isSelected(f))) {
+			new Notice("GitPush: nothing to pull.")
+			return false
+		}
+		return await sync.pull()
+	}
+
+	async pushFile(sync, file, message = "") {
+		if (!file || !await this.prepareSync(sync)) return false
+
+		const item = sync.filesToPush.find(f => f.file && f.file.path === file.path)
+		if (!item) {
+			new Notice(`GitPush: no changes to push for ${file.name}.`)
+			return false
+		}
+		return await sync.push({ message: message || `Update ${file.name}`, paths: [item.pathInRepo] })
+	}
+
+	async updateActiveSync(file) {
+		const syncs = await this.getSyncsForFile(file)
+		if (sameSyncs(syncs, this.activeSyncs)) return
+
+		this.activeSyncs = syncs
+		this.renderStatusBar()
+		for (const sync of syncs) {
+			if (!sync.remoteTree && !sync.remoteError) await sync.refresh()
+		}
+	}
+
+	renderStatusBar() {
+		const el = this.statusBarEl
+		const syncs = this.activeSyncs
+		el.empty()
+
+		if (syncs.length === 0) {
+			el.hide()
+			return
+		}
+		el.show()
+
+		const iconEl = el.createSpan({ cls: "gitpush-status-bar-icon" })
+		setIcon(iconEl, "github")
+
+		const texts = []
+		const tooltips = []
+		for (const sync of syncs) {
+			let text = `${sync.repoConfig.repo} (${sync.getBranch()})`
+			if (sync.isRefreshing) {
+				text += " · checking..."
+			} else if (sync.remoteError) {
+				text += " · error"
+			} else if (sync.remoteTree) {
+				text += ` · ↑${sync.filesToPush.length} ↓${sync.filesToPull.length}`
+				if (sync.conflicts.length > 0) text += ` · ${sync.conflicts.length} conflict(s)`
+			}
+			texts.push(text)
+
+			const prefix = syncs.length > 1 ? `${sync.getLabel()}: ` : ""
+			tooltips.push(sync.remoteError
+				? `${prefix}${sync.remoteError}`
+				: `${prefix}${sync.filesToPush.length} to push, ${sync.filesToPull.length} to pull, ${sync.conflicts.length} conflict(s).`)
+		}
+		el.createSpan({ text: texts.join(" | ") })
+
+		setTooltip(el, `GitPush: ${tooltips.join("\n")}\nClick to open the panel.`, { placement: "top" })
+		el.toggleClass("gitpush-status-bar-conflicts", syncs.some(sync => sync.conflicts.length > 0 || !!sync.remoteError))
+	}
+
+	onVaultChange(path, file) {
+		// A created, moved or deleted folder may bring or take a config with it
+		if (file instanceof TFolder) this.knownSyncs = null
+
+		for (const sync of this.syncs.values()) {
+			if (!sync.tracksPath(path)) continue
+
+			sync.lastLocalChange = Date.now()
+			if (sync.debounceTimer) clearTimeout(sync.debounceTimer)
+			sync.debounceTimer = setTimeout(() => sync.refresh({ fetchRemote: false }), 1000)
+		}
+	}
+
+	async runAutoSync() {
+		if (this.isAutoSyncing) return
+		this.isAutoSyncing = true
+
+		try {
+			const syncs = (await this.getKnownSyncs()).filter(sync => getAutoSyncOptions(sync.repoConfig).enabled && sync.isConfigured())
+			for (const sync of syncs) await sync.runAutoSync()
+		} catch (e) {
+			console.error("GitPush auto-sync error:", e)
+		} finally {
+			this.isAutoSyncing = false
+		}
+	}
+
+	async activateView(viewType = VIEW_TYPE_GITPUSH) {
+		const { workspace } = this.app
+		let leaf = workspace.getLeavesOfType(viewType)[0]
+
+		if (!leaf) {
+			leaf = workspace.getRightLeaf(false)
+			await leaf.setViewState({ type: viewType, active: true })
+		}
+
+		workspace.revealLeaf(leaf)
+		return leaf
+	}
+
+	async loadSettings() {
+		const data = await this.loadData() || {}
+
+		// Older versions stored a single flat pathInRepo -> sha map, the baseline of the last branch pushed to.
+		// Keep it aside to seed the state of that branch only, the first time it's used.
+		if (data.lastSyncedState) {
+			data.legacySyncedState = { branch: data.lastBranch || "main", state: data.lastSyncedState }
+			delete data.lastSyncedState
+		}
+		delete data.lastBranch
+
+		// The token used to be saved in data.json, which gets synced and backed up with the vault
+		const legacyToken = data.githubToken
+		delete data.githubToken
+
+		this.settings = Object.assign({}, DEFAULT_SETTINGS, data)
+		this.settings.syncStates = { ...(this.settings.syncStates || {}) }
+		this.settings.branchByConfig = { ...(this.settings.branchByConfig || {}) }
+		this.settings.uploadedBlobs = { ...(this.settings.uploadedBlobs || {}) }
+
+		if (legacyToken) {
+			this.storeToken(legacyToken)
+			await this.saveSettings()
+		}
+	}
+
+	// Token stored under `secretName` in the keychain, the default one of the settings otherwise
+	getToken(secretName = this.settings.tokenSecret) {
+		return (secretName && this.app.secretStorage.getSecret(secretName)) || ""
+	}
+
+	storeToken(token) {
+		if (!this.settings.tokenSecret) this.settings.tokenSecret = DEFAULT_SETTINGS.tokenSecret
+		this.app.secretStorage.setSecret(this.settings.tokenSecret, token)
+	}
+
+	async setToken(token) {
+		this.storeToken(token)
+		await this.saveSettings()
+		await this.onTokenChanged()
+	}
+
+	// Providers are recreated with the new token on the next fetch
+	async onTokenChanged() {
+		for (const sync of this.syncs.values()) {
+			if (sync.remoteTree || sync.remoteError) await sync.refresh({ fetchRemote: true })
+		}
+	}
+
+	// Account and permissions of the token of every configured target, for the "Test token" setting
+	async testAccess() {
+		const results = []
+		for (const sync of await this.discoverRepoConfigs()) {
+			const result = { label: `${sync.repoConfigPath} → ${sync.getLabel()}`, provider: sync.getProviderName() }
+			if (!sync.isConfigured()) {
+				result.error = sync.repoConfig.tokenSecret ? `secret "${sync.repoConfig.tokenSecret}" not found` : "no token set"
+			} else {
+				try {
+					Object.assign(result, await sync.getProvider().getAccess())
+				} catch (e) {
+					result.error = e.status === 401 ? "invalid or expired token" : e.message
+				}
+			}
+			results.push(result)
+		}
+		return results
+	}
+
+	getSyncState(repoConfig, branch) {
+		const key = getSyncStateKey(repoConfig, branch)
+		if (!this.settings.syncStates[key]) this.settings.syncStates[key] = {}
+		return this.settings.syncStates[key]
+	}
+
+	// The legacy baseline was shared by every repository, so it may not be the one of this repository. It goes, once,
+	// to the first empty state of its branch diffed, keeping only the paths `isConfirmed` by that repository.
+	// Returns whether the state was seeded.
+	seedSyncStateFromLegacy(repoConfig, branch, isConfirmed) {
+		const legacy = this.settings.legacySyncedState
+		const state = this.getSyncState(repoConfig, branch)
+		if (!legacy || legacy.branch !== branch || Object.keys(state).length > 0) return false
+		delete this.settings.legacySyncedState
+
+		const prefix = getRepoPrefix(repoConfig)
+		const imagesPrefix = normalizePath(repoConfig.imagesPath || "images").replace(/^\//, "")
+
+		for (const [path, sha] of Object.entries(legacy.state)) {
+			if ((!prefix || path.startsWith(`${prefix}/`) || path.startsWith(`${imagesPrefix}/`)) && isConfirmed(path, sha)) {
+				state[path] = sha
+			}
+		}
+		return true
+	}
+
+	async saveSettings() {
+		await this.saveData(this.settings)
+	}
+}
+
+class GitPushSettingTab extends PluginSettingTab {
+	constructor(app, plugin) {
+		super(app, plugin)
+		this.plugin = plugin
 	}
 
 	display() {
@@ -871,20 +1716,18 @@ class GitPushSettingTab extends PluginSettingTab {
 		containerEl.createEl("h2", { text: "GitPush Settings" })
 
 		// --- Token Section ---
-		containerEl.createEl("h3", { text: "GitHub Authentication" })
+		containerEl.createEl("h3", { text: "Authentication" })
 
 		const tokenSetting = new Setting(containerEl)
 			.setName("GitHub Personal Access Token")
-			.setDesc("You need a GitHub Personal Access Token to authenticate.")
-			.addText(text => {
-				text.setPlaceholder("ghp_xxxx")
-					.setValue(this.plugin.settings.githubToken)
-					.onChange(async (value) => {
-						this.plugin.settings.githubToken = value
-						await this.plugin.saveSettings()
-					})
-				text.inputEl.type = "password"
-			})
+			.setDesc("The token is kept in Obsidian's keychain, outside of the synced plugin data. Pick or create the secret holding it.")
+			.addComponent(el => new SecretComponent(this.app, el)
+				.setValue(this.plugin.settings.tokenSecret)
+				.onChange(async (value) => {
+					this.plugin.settings.tokenSecret = value
+					await this.plugin.saveSettings()
+					await this.plugin.onTokenChanged()
+				}))
 
 		// Add details to description using DOM methods safely
 		const descEl = tokenSetting.descEl
@@ -899,12 +1742,69 @@ class GitPushSettingTab extends PluginSettingTab {
 		descEl.createSpan({ text: "2. Generate a new token (Classic or Fine-grained)." })
 		descEl.createEl("br")
 		descEl.createSpan({ text: "3. Ensure it has 'repo' scope (Classic) or 'Contents: Read & Write' (Fine-grained)." })
+		descEl.createEl("br")
+		descEl.createSpan({ text: "Repositories of other accounts or providers can use another secret with \"tokenSecret\" in their config." })
+
+		new Setting(containerEl)
+			.setName("Sign in with GitHub")
+			.setDesc("Get a token by entering a code on github.com instead of creating one. Needs the client ID of a GitHub OAuth App with the device flow enabled.")
+			.addText(text => text
+				.setPlaceholder("OAuth App client ID")
+				.setValue(this.plugin.settings.oauthClientId)
+				.onChange(async (value) => {
+					this.plugin.settings.oauthClientId = value.trim()
+					await this.plugin.saveSettings()
+				}))
+			.addButton(btn => btn.setButtonText("Sign in").onClick(() => {
+				if (!this.plugin.settings.oauthClientId) {
+					new Notice("GitPush: enter the client ID of an OAuth App first.")
+					return
+				}
+				new DeviceFlowModal(this.app, this.plugin).open()
+			}))
+
+		const testSetting = new Setting(containerEl)
+			.setName("Test token")
+			.setDesc("Checks which account each configured repository is accessed with, and whether it can be read and written.")
+		const resultsEl = containerEl.createDiv({ attr: { style: "font-size: 0.9em; margin-bottom: 10px;" } })
+
+		testSetting.addButton(btn => btn.setButtonText("Test").onClick(async () => {
+			btn.setDisabled(true)
+			resultsEl.empty()
+			resultsEl.setText("Testing...")
+			try {
+				const results = await this.plugin.testAccess()
+				resultsEl.empty()
+				if (results.length === 0) resultsEl.setText(`No ${CONFIG_FILE_NAME} file found in the vault.`)
+
+				for (const result of results) {
+					const row = resultsEl.createDiv({ attr: { style: "margin-top: 4px;" } })
+					row.createSpan({ text: `${result.label}: `, attr: { style: "font-weight: bold;" } })
+
+					if (result.error) {
+						row.createSpan({ text: result.error, attr: { style: "color: var(--text-error);" } })
+						continue
+					}
+
+					const access = result.write ? "read & write" : result.read ? "read only" : "no access"
+					const account = result.user ? `${result.user} on ${result.provider}` : result.provider
+					row.createSpan({
+						text: `${account}, ${access}${result.note ? ` (${result.note})` : ""}`,
+						attr: { style: `color: ${result.write ? "var(--text-success)" : "var(--text-error)"};` }
+					})
+				}
+			} catch (e) {
+				resultsEl.setText(`Test failed: ${e.message}`)
+			} finally {
+				btn.setDisabled(false)
+			}
+		}))
 
 		// --- Configuration Section ---
 		containerEl.createEl("h3", { text: "Repository Configuration" })
 
 		const repoSetting = new Setting(containerEl)
-			.setDesc("To link a folder in your vault to a GitHub repository, create a file named '.obsidian-gitpush.json' inside that folder.")
+			.setDesc("To link a folder in your vault to a GitHub repository, right-click it and choose \"Link folder to GitHub repository\", or create a file named '.obsidian-gitpush.json' inside that folder.")
 
 		repoSetting.descEl.style.display = "block"
 
@@ -0,0 +1,172 @@
+// Line-based diff and three-way merge helpers, used to reconcile notes edited on both sides
+
+const MAX_LCS_CELLS = 4000000
+
+export function splitLines(text) {
+	return text.split("\n")
+}
+
+// Returns an array where matches[i] is the index in `b` matched with line `i` of `a` (or undefined)
+export function matchLines(a, b) {
+	const matches = new Array(a.length)
+
+	// Common prefix and suffix are matched directly, only the middle part goes through the LCS table
+	let start = 0
+	while (start < a.length && start < b.length && a[start] === b[start]) {
+		matches[start] = start
+		start++
+	}
+
+	let endA = a.length
+	let endB = b.length
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--
+		endB--
+		matches[endA] = endB
+	}
+
+	const n = endA - start
+	const m = endB - start
+	if (n === 0 || m === 0 || n * m > MAX_LCS_CELLS) return matches
+
+	// lengths[cell(i, j)] = LCS length of a[start + i..endA] and b[start + j..endB]
+	const lengths = new Uint32Array((n + 1) * (m + 1))
+	const cell = (i, j) => (i * (m + 1)) + j
+	for (let i = n - 1; i >= 0; i--) {
+		for (let j = m - 1; j >= 0; j--) {
+			if (a[start + i] === b[start + j]) {
+				lengths[cell(i, j)] = lengths[cell(i + 1, j + 1)] + 1
+			} else {
+				lengths[cell(i, j)] = Math.max(lengths[cell(i + 1, j)], lengths[cell(i, j + 1)])
+			}
+		}
+	}
+
+	let i = 0
+	let j = 0
+	while (i < n && j < m) {
+		if (a[start + i] === b[start + j]) {
+			matches[start + i] = start + j
+			i++
+			j++
+		} else if (lengths[cell(i + 1, j)] >= lengths[cell(i, j + 1)]) {
+			i++
+		} else {
+			j++
+		}
+	}
+
+	return matches
+}
+
+// Share of lines two texts have in common, from 0 (nothing) to 1 (identical)
+export function similarity(aText, bText) {
+	const a = splitLines(aText)
+	const b = splitLines(bText)
+	const matched = matchLines(a, b).filter(j => j !== undefined).length
+	return (2 * matched) / (a.length + b.length)
+}
+
+function sameLines(a, b) {
+	return a.length === b.length && a.every((line, i) => line === b[i])
+}
+
+// Splits base/local/remote into stable chunks (identical everywhere) and changed chunks,
+// following the classic diff3 algorithm. Changed chunks edited on only one side are resolved automatically.
+export function merge3(baseText, localText, remoteText) {
+	const base = splitLines(baseText)
+	const local = splitLines(localText)
+	const remote = splitLines(remoteText)
+
+	const matchLocal = matchLines(base, local)
+	const matchRemote = matchLines(base, remote)
+
+	const chunks = []
+	const pushLines = (lines) => {
+		if (lines.length === 0) return
+		const last = chunks[chunks.length - 1]
+		if (last && last.type === "ok") last.lines.push(...lines)
+		else chunks.push({ type: "ok", lines: [...lines] })
+	}
+
+	let i = 0
+	let a = 0
+	let b = 0
+
+	while (i < base.length || a < local.length || b < remote.length) {
+		let m = 0
+		while (i + m < base.length && matchLocal[i + m] === a + m && matchRemote[i + m] === b + m) m++
+
+		if (m > 0) {
+			pushLines(base.slice(i, i + m))
+			i += m
+			a += m
+			b += m
+			continue
+		}
+
+		let k = i
+		while (k < base.length && (matchLocal[k] === undefined || matchRemote[k] === undefined)) k++
+
+		const endA = k < base.length ? matchLocal[k] : local.length
+		const endB = k < base.length ? matchRemote[k] : remote.length
+
+		const baseLines = base.slice(i, k)
+		const localLines = local.slice(a, endA)
+		const remoteLines = remote.slice(b, endB)
+
+		if (sameLines(localLines, baseLines)) {
+			pushLines(remoteLines)
+		} else if (sameLines(remoteLines, baseLines) || sameLines(localLines, remoteLines)) {
+			pushLines(localLines)
+		} else {
+			chunks.push({ type: "conflict", base: baseLines, local: localLines, remote: remoteLines })
+		}
+
+		i = k
+		a = endA
+		b = endB
+	}
+
+	const conflictCount = chunks.filter(c => c.type === "conflict").length
+	return { clean: conflictCount === 0, conflictCount, chunks }
+}
+
+export function formatMergeResult(chunks, { localLabel = "local", remoteLabel = "remote" } = {}) {
+	const lines = []
+	for (const chunk of chunks) {
+		if (chunk.type === "ok") {
+			lines.push(...chunk.lines)
+		} else {
+			lines.push(`<<<<<<< ${localLabel}`, ...chunk.local, "=======", ...chunk.remote, `>>>>>>> ${remoteLabel}`)
+		}
+	}
+	return lines.join("\n")
+}
+
+export function hasConflictMarkers(text) {
+	return /^<{7} .*\n[\s\S]*?^={7}$[\s\S]*?^>{7} /m.test(text)
+}
+
+// Flat list of line operations turning `oldText` into `newText`
+export function diffLines(oldText, newText) {
+	const a = splitLines(oldText)
+	const b = splitLines(newText)
+	const matches = matchLines(a, b)
+
+	const ops = []
+	let i = 0
+	let j = 0
+	while (i < a.length || j < b.length) {
+		if (i < a.length && matches[i] === undefined) {
+			ops.push({ type: "removed", text: a[i++] })
+		} else if (j < b.length && (i >= a.length || j < matches[i])) {
+			ops.push({ type: "added", text: b[j++] })
+		} else {
+			ops.push({ type: "equal", text: a[i] })
+			i++
+			j++
+		}
+	}
+	return ops
+}
@@ -0,0 +1,78 @@
+import { requestUrl } from "obsidian"
+import { getGitBlobSha, withRateLimitRetry } from "../utils"
+
+// Request to a self-hosted API through Obsidian, which isn't subject to CORS like fetch. Errors carry
+// the HTTP status and headers like Octokit ones, so they're handled the same way (retries, 404...).
+export async function apiRequest({ url, method = "GET", headers = {}, body = undefined, raw = false }) {
+	const response = await requestUrl({
+		url,
+		method,
+		headers: body === undefined ? headers : { ...headers, "Content-Type": "application/json" },
+		body: body === undefined ? undefined : JSON.stringify(body),
+		throw: false
+	})
+
+	if (response.status >= 400) {
+		let message = `HTTP ${response.status}`
+		try {
+			const data = response.json
+			message = (data && (data.message || data.error)) || message
+		} catch (e) {
+			// Not a JSON error, keep the status
+		}
+
+		const error = new Error(typeof message === "string" ? message : JSON.stringify(message))
+		error.status = response.status
+		error.response = { headers: response.headers || {} }
+		throw error
+	}
+
+	if (raw) return { data: Buffer.from(response.arrayBuffer), headers: response.headers || {} }
+	return { data: response.json, headers: response.headers || {} }
+}
+
+// Base of the APIs without a Git data API (Gitea, GitLab): blobs can't be uploaded on their own, so their
+// content is kept until the commit, which sends every changed file at once.
+// Subclasses set repoUrl (API URL of the repository) and headers (authentication) for request().
+export class FileChangesProvider {
+	constructor() {
+		this.uploadsBlobs = false
+		this.pendingBlobs = new Map() // blob sha -> content waiting for the next commit
+	}
+
+	// Request to a path of the repository API, or of another API base (user, repositories list) with baseUrl
+	request(path, { baseUrl = this.repoUrl, ...options } = {}) {
+		const send = () => apiRequest({ ...options, url: `${baseUrl}${path}`, headers: this.headers })
+		// Only reads are retried, a commit may have gone through despite the error
+		return options.method ? send() : withRateLimitRetry(send)
+	}
+
+	async createBlob(content) {
+		const sha = getGitBlobSha(content)
+		this.pendingBlobs.set(sha, Buffer.from(content))
+		return sha
+	}
+
+	// Same contract as GitHubProvider.commit. These APIs always commit on top of the branch head,
+	// so the head is checked first to never commit over changes that weren't seen.
+	async commit({ branch, parent, entries, message }) {
+		if (await this.getBranchHead(branch) !== parent) return null
+
+		const tree = await this.getTree(parent)
+		const changes = []
+		for (const { path, sha } of entries) {
+			if (sha === null) {
+				if (tree.has(path)) changes.push({ type: "delete", path, oldSha: tree.get(path) })
+				continue
+			}
+
+			// Contents already in the repository (renamed files, reverted changes) weren't kept by createBlob
+			const content = this.pendingBlobs.get(sha) || await this.readBlob(sha)
+			changes.push({ type: tree.has(path) ? "update" : "create", path, content, oldSha: tree.get(path) || null })
+		}
+
+		const commitSha = await this.commitChanges({ branch, parent, changes, message })
+		this.pendingBlobs.clear()
+		return commitSha
+	}
+}
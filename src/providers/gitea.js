@@ -0,0 +1,118 @@
+import { encodeRepoPath } from "../utils"
+import { FileChangesProvider } from "./base"
+
+const CODEBERG_API = "https://codeberg.org/api/v1"
+const PAGE_SIZE = 50
+
+// Gitea and Forgejo (Codeberg...), through their API v1
+export class GiteaProvider extends FileChangesProvider {
+	constructor({ owner, repo, token, apiBaseUrl }) {
+		super()
+		this.name = "Gitea"
+
+		this.apiBaseUrl = (apiBaseUrl || CODEBERG_API).replace(/\/$/, "")
+		this.repoUrl = `${this.apiBaseUrl}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`
+		this.headers = { Authorization: `token ${token}`, Accept: "application/json" }
+	}
+
+	async listRepositories() {
+		const names = []
+		for (let page = 1; ; page++) {
+			const { data } = await this.request(`/user/repos?page=${page}&limit=${PAGE_SIZE}`, { baseUrl: this.apiBaseUrl })
+			names.push(...data.map(r => r.full_name))
+			if (data.length < PAGE_SIZE) return names
+		}
+	}
+
+	async listBranches() {
+		const names = []
+		for (let page = 1; ; page++) {
+			const { data } = await this.request(`/branches?page=${page}&limit=${PAGE_SIZE}`)
+			names.push(...data.map(b => b.name))
+			if (data.length < PAGE_SIZE) return names
+		}
+	}
+
+	async getBranchHead(branch) {
+		const { data } = await this.request(`/branches/${encodeURIComponent(branch)}`)
+		return data.commit.id
+	}
+
+	async createBranch(name, fromBranch) {
+		await this.request("/branches", { method: "POST", body: { new_branch_name: name, old_branch_name: fromBranch } })
+	}
+
+	// Recursive trees are paginated, `truncated` is set until the last page
+	async getTree(commitSha) {
+		const tree = new Map()
+		for (let page = 1; ; page++) {
+			const { data } = await this.request(`/git/trees/${commitSha}?recursive=true&page=${page}&per_page=1000`)
+			for (const item of data.tree || []) {
+				if (item.type === "blob") tree.set(item.path, item.sha)
+			}
+			if (!data.truncated) return tree
+		}
+	}
+
+	async readBlob(sha) {
+		const { data } = await this.request(`/git/blobs/${sha}`)
+		return Buffer.from(data.content || "", data.encoding === "base64" ? "base64" : "utf8")
+	}
+
+	async readLfsObject(branch, path) {
+		const { data } = await this.request(`/media/${encodeRepoPath(path)}?ref=${encodeURIComponent(branch)}`, { raw: true })
+		return data
+	}
+
+	// Every change goes in a single commit. Gitea checks the sha of updated and deleted files,
+	// so a file changed remotely since the diff makes the whole commit fail instead of being overwritten.
+	async commitChanges({ branch, changes, message }) {
+		const files = changes.map(change => ({
+			operation: change.type,
+			path: change.path,
+			content: change.content ? change.content.toString("base64") : undefined,
+			sha: change.oldSha || undefined
+		}))
+
+		const { data } = await this.request("/contents", { method: "POST", body: { branch, message, files } })
+		return data.commit.sha
+	}
+
+	async listCommits({ branch, path = null, perPage = 30 }) {
+		const pathQuery = path ? `&path=${encodeURIComponent(path)}` : ""
+		const { data } = await this.request(`/commits?sha=${encodeURIComponent(branch)}${pathQuery}&limit=${perPage}&stat=false&files=false`)
+		return data.map(c => ({
+			sha: c.sha,
+			message: c.commit.message,
+			author: c.author ? c.author.login : c.commit.author.name,
+			date: c.commit.author.date,
+			url: c.html_url
+		}))
+	}
+
+	async getCommitFiles(commitSha) {
+		const { data } = await this.request(`/git/commits/${commitSha}`)
+		return (data.files || []).map(f => ({ filename: f.filename, status: f.status }))
+	}
+
+	async getBlobShaAtCommit(path, commitSha) {
+		try {
+			const { data } = await this.request(`/contents/${encodeRepoPath(path)}?ref=${commitSha}`)
+			return Array.isArray(data) ? null : data.sha
+		} catch (e) {
+			if (e.status === 404) return null
+			throw e
+		}
+	}
+
+	async getAccess() {
+		const { data: user } = await this.request("/user", { baseUrl: this.apiBaseUrl })
+		try {
+			const { data } = await this.request("")
+			return { user: user.login, read: true, write: !!(data.permissions && data.permissions.push) }
+		} catch (e) {
+			if (e.status === 404) return { user: user.login, read: false, write: false }
+			throw e
+		}
+	}
+}
@@ -0,0 +1,193 @@
+import { requestUrl } from "obsidian"
+import { Octokit } from "@octokit/rest"
+import { encodeRepoPath, withRateLimitRetry } from "../utils"
+
+const GITHUB_API = "https://api.github.com"
+
+export function getOctokit(token, baseUrl = GITHUB_API) {
+	return new Octokit({
+		auth: token,
+		baseUrl,
+		request: {
+			fetch: (url, opts) => {
+				const urlObj = new URL(url)
+				urlObj.searchParams.append("_", Date.now())
+				return fetch(urlObj.toString(), {
+					...opts,
+					cache: "no-store",
+					headers: { ...opts.headers }
+				})
+			}
+		}
+	})
+}
+
+// GitHub and GitHub Enterprise Server, through the Git data API: blobs are uploaded one by one,
+// then a tree and a commit are created on top of the branch head.
+export class GitHubProvider {
+	constructor({ owner, repo, token, apiBaseUrl }) {
+		this.name = apiBaseUrl ? "GitHub Enterprise" : "GitHub"
+		this.uploadsBlobs = true
+
+		this.owner = owner
+		this.repo = repo
+		this.token = token
+		this.apiBaseUrl = (apiBaseUrl || GITHUB_API).replace(/\/$/, "")
+		this.octokit = getOctokit(token, this.apiBaseUrl)
+	}
+
+	get params() {
+		return { owner: this.owner, repo: this.repo }
+	}
+
+	// Repositories of the account, most recently pushed first, to pick one when linking a folder
+	async listRepositories() {
+		const repos = await this.octokit.paginate(this.octokit.repos.listForAuthenticatedUser, { per_page: 100, sort: "pushed" })
+		return repos.map(r => r.full_name)
+	}
+
+	async listBranches() {
+		const branches = await this.octokit.paginate(this.octokit.repos.listBranches, { ...this.params, per_page: 100 })
+		return branches.map(b => b.name)
+	}
+
+	async getBranchHead(branch) {
+		const { data } = await this.octokit.git.getRef({ ...this.params, ref: `heads/${branch}` })
+		return data.object.sha
+	}
+
+	async createBranch(name, fromBranch) {
+		const sha = await this.getBranchHead(fromBranch)
+		await this.octokit.git.createRef({ ...this.params, ref: `refs/heads/${name}`, sha })
+	}
+
+	// pathInRepo -> blob sha of every file in the commit
+	async getTree(commitSha) {
+		const { data } = await this.octokit.git.getTree({ ...this.params, tree_sha: commitSha, recursive: true })
+
+		const tree = new Map()
+		for (const item of data.tree) {
+			if (item.type === "blob") tree.set(item.path, item.sha)
+		}
+		return tree
+	}
+
+	// The blob API handles files up to 100 MB (contents API stops at 1 MB), bigger ones are fetched raw
+	async readBlob(sha, { branch = null, path = null } = {}) {
+		try {
+			const { data } = await this.octokit.git.getBlob({ ...this.params, file_sha: sha })
+			return Buffer.from(data.content, data.encoding === "base64" ? "base64" : "utf8")
+		} catch (e) {
+			if ((e.status !== 403 && e.status !== 422) || !path) throw e
+
+			const response = await requestUrl({
+				url: `${this.apiBaseUrl}/repos/${this.owner}/${this.repo}/contents/${encodeRepoPath(path)}?ref=${encodeURIComponent(branch)}`,
+				headers: {
+					Authorization: `token ${this.token}`,
+					Accept: "application/vnd.github.raw"
+				}
+			})
+			return Buffer.from(response.arrayBuffer)
+		}
+	}
+
+	// Content of a file stored with Git LFS, whose blob is only a pointer
+	async readLfsObject(branch, path) {
+		let url = `https://media.githubusercontent.com/media/${this.owner}/${this.repo}/${encodeURIComponent(branch)}/${encodeRepoPath(path)}`
+		if (this.apiBaseUrl !== GITHUB_API) {
+			const { data } = await this.octokit.repos.getContent({ ...this.params, path, ref: branch })
+			url = data.download_url
+		}
+
+		const response = await requestUrl({ url, headers: { Authorization: `token ${this.token}` } })
+		return Buffer.from(response.arrayBuffer)
+	}
+
+	async createBlob(content) {
+		const { data } = await withRateLimitRetry(() => this.octokit.git.createBlob({
+			...this.params,
+			content: Buffer.from(content).toString("base64"),
+			encoding: "base64"
+		}))
+		return data.sha
+	}
+
+	// Creates a commit from `entries` ({ path, sha }, a null sha deleting the file) on top of `parent`,
+	// and moves the branch to it. Returns null if the branch doesn't point to `parent` anymore.
+	async commit({ branch, parent, entries, message }) {
+		const { data: commitData } = await this.octokit.git.getCommit({ ...this.params, commit_sha: parent })
+
+		// Create a new tree with all changes at once, then create a single commit pointing to that tree
+		const { data: newTree } = await this.octokit.git.createTree({
+			...this.params,
+			base_tree: commitData.tree.sha,
+			tree: entries.map(({ path, sha }) => ({ path, mode: "100644", type: "blob", sha }))
+		})
+		const { data: newCommit } = await this.octokit.git.createCommit({
+			...this.params,
+			message,
+			tree: newTree.sha,
+			parents: [parent]
+		})
+
+		try {
+			// Never forced: if the branch moved meanwhile, GitHub rejects the update instead of dropping commits
+			await this.octokit.git.updateRef({ ...this.params, ref: `heads/${branch}`, sha: newCommit.sha, force: false })
+			return newCommit.sha
+		} catch (e) {
+			// A protected branch is refused with the same status, only a moved branch is worth retrying
+			if (e.status === 422 && await this.getBranchHead(branch) !== parent) return null
+			throw e
+		}
+	}
+
+	async listCommits({ branch, path = null, perPage = 30 }) {
+		const { data } = await this.octokit.repos.listCommits({ ...this.params, sha: branch, path: path || undefined, per_page: perPage })
+		return data.map(c => ({
+			sha: c.sha,
+			message: c.commit.message,
+			author: c.author ? c.author.login : c.commit.author.name,
+			date: c.commit.author.date,
+			url: c.html_url
+		}))
+	}
+
+	async getCommitFiles(commitSha) {
+		const { data } = await this.octokit.repos.getCommit({ ...this.params, ref: commitSha })
+		return (data.files || []).map(f => ({ filename: f.filename, status: f.status }))
+	}
+
+	// Blob sha of a file as it was in the given commit, or null if it didn't exist there
+	async getBlobShaAtCommit(path, commitSha) {
+		try {
+			const { data } = await this.octokit.repos.getContent({ ...this.params, path, ref: commitSha })
+			return Array.isArray(data) ? null : data.sha
+		} catch (e) {
+			if (e.status === 404) return null
+			throw e
+		}
+	}
+
+	// Account of the token and what it can do on the repository. Classic and OAuth tokens list their
+	// scopes, fine-grained ones don't: the permissions of the account are reported then.
+	async getAccess() {
+		const { data: user, headers } = await this.octokit.users.getAuthenticated()
+		const scopes = headers["x-oauth-scopes"] === undefined ? null : headers["x-oauth-scopes"].split(",").map(s => s.trim()).filter(Boolean)
+
+		let repo
+		try {
+			({ data: repo } = await this.octokit.repos.get(this.params))
+		} catch (e) {
+			if (e.status === 404) return { user: user.login, read: false, write: false }
+			throw e
+		}
+
+		const scoped = !scopes || scopes.includes("repo") || (!repo.private && scopes.includes("public_repo"))
+		return {
+			user: user.login,
+			read: true,
+			write: !!(repo.permissions && repo.permissions.push) && scoped,
+			note: scoped ? null : "the token lacks the \"repo\" scope"
+		}
+	}
+}
@@ -0,0 +1,133 @@
+import { FileChangesProvider } from "./base"
+
+const GITLAB_API = "https://gitlab.com/api/v4"
+const PAGE_SIZE = 100
+const DEVELOPER_ACCESS = 30 // lowest access level allowed to push
+
+const FILE_STATUSES = [
+	["new_file", "added"],
+	["deleted_file", "removed"],
+	["renamed_file", "renamed"]
+]
+
+function getHeader(headers, name) {
+	const key = Object.keys(headers).find(k => k.toLowerCase() === name)
+	return key ? headers[key] : null
+}
+
+// GitLab.com and self-managed GitLab, through the API v4. "repo" is the full path of the project,
+// which may include subgroups ("group/subgroup/project").
+export class GitLabProvider extends FileChangesProvider {
+	constructor({ owner, repo, token, apiBaseUrl }) {
+		super()
+		this.name = "GitLab"
+
+		this.apiBaseUrl = (apiBaseUrl || GITLAB_API).replace(/\/$/, "")
+		this.repoUrl = `${this.apiBaseUrl}/projects/${encodeURIComponent(`${owner}/${repo}`)}`
+		this.headers = { Authorization: `Bearer ${token}`, Accept: "application/json" }
+	}
+
+	// Follows the x-next-page header until the last page
+	async requestAll(path, options = {}) {
+		const items = []
+		const separator = path.includes("?") ? "&" : "?"
+		for (let page = 1; page;) {
+			const { data, headers } = await this.request(`${path}${separator}per_page=${PAGE_SIZE}&page=${page}`, options)
+			items.push(...data)
+			page = Number(getHeader(headers, "x-next-page")) || null
+		}
+		return items
+	}
+
+	// Projects the user is a member of, most recently active first
+	async listRepositories() {
+		const projects = await this.requestAll("/projects?membership=true&simple=true&order_by=last_activity_at", { baseUrl: this.apiBaseUrl })
+		return projects.map(p => p.path_with_namespace)
+	}
+
+	async listBranches() {
+		const branches = await this.requestAll("/repository/branches")
+		return branches.map(b => b.name)
+	}
+
+	async getBranchHead(branch) {
+		const { data } = await this.request(`/repository/branches/${encodeURIComponent(branch)}`)
+		return data.commit.id
+	}
+
+	async createBranch(name, fromBranch) {
+		await this.request(`/repository/branches?branch=${encodeURIComponent(name)}&ref=${encodeURIComponent(fromBranch)}`, { method: "POST" })
+	}
+
+	async getTree(commitSha) {
+		const items = await this.requestAll(`/repository/tree?ref=${commitSha}&recursive=true`)
+		return new Map(items.filter(item => item.type === "blob").map(item => [item.path, item.id]))
+	}
+
+	async readBlob(sha) {
+		const { data } = await this.request(`/repository/blobs/${sha}/raw`, { raw: true })
+		return data
+	}
+
+	async readLfsObject(branch, path) {
+		const { data } = await this.request(`/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(branch)}&lfs=true`, { raw: true })
+		return data
+	}
+
+	// Every change goes in a single commit. GitLab refuses updated and deleted files changed after last_commit_id,
+	// so a file changed remotely since the diff makes the whole commit fail instead of being overwritten.
+	async commitChanges({ branch, parent, changes, message }) {
+		const actions = changes.map(change => ({
+			action: change.type,
+			file_path: change.path,
+			content: change.content ? change.content.toString("base64") : undefined,
+			encoding: change.content ? "base64" : undefined,
+			last_commit_id: change.type === "create" ? undefined : parent
+		}))
+
+		const { data } = await this.request("/repository/commits", { method: "POST", body: { branch, commit_message: message, actions } })
+		return data.id
+	}
+
+	async listCommits({ branch, path = null, perPage = 30 }) {
+		const pathQuery = path ? `&path=${encodeURIComponent(path)}` : ""
+		const { data } = await this.request(`/repository/commits?ref_name=${encodeURIComponent(branch)}${pathQuery}&per_page=${perPage}`)
+		return data.map(c => ({
+			sha: c.id,
+			message: c.message,
+			author: c.author_name,
+			date: c.authored_date,
+			url: c.web_url
+		}))
+	}
+
+	async getCommitFiles(commitSha) {
+		const diffs = await this.requestAll(`/repository/commits/${commitSha}/diff`)
+		return diffs.map(d => {
+			const status = FILE_STATUSES.find(([flag]) => d[flag])
+			return { filename: d.deleted_file ? d.old_path : d.new_path, status: status ? status[1] : "modified" }
+		})
+	}
+
+	async getBlobShaAtCommit(path, commitSha) {
+		try {
+			const { data } = await this.request(`/repository/files/${encodeURIComponent(path)}?ref=${commitSha}`)
+			return data.blob_id
+		} catch (e) {
+			if (e.status === 404) return null
+			throw e
+		}
+	}
+
+	async getAccess() {
+		const { data: user } = await this.request("/user", { baseUrl: this.apiBaseUrl })
+		try {
+			const { data } = await this.request("")
+			const access = Object.values(data.permissions || {}).map(p => (p && p.access_level) || 0)
+			return { user: user.username, read: true, write: Math.max(0, ...access) >= DEVELOPER_ACCESS }
+		} catch (e) {
+			if (e.status === 404) return { user: user.username, read: false, write: false }
+			throw e
+		}
+	}
+}
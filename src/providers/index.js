@@ -0,0 +1,32 @@
+import { GitHubProvider } from "./github"
+import { GiteaProvider } from "./gitea"
+import { GitLabProvider } from "./gitlab"
+import { LocalGitProvider } from "./local"
+
+// "provider" key of .obsidian-gitpush.json -> implementation. All of them expose the same methods,
+// see GitHubProvider for what each one does.
+const PROVIDERS = {
+	github: GitHubProvider,
+	gitea: GiteaProvider,
+	gitlab: GitLabProvider,
+	local: LocalGitProvider
+}
+
+export const PROVIDER_TYPES = Object.keys(PROVIDERS)
+
+export function getProviderType(repoConfig) {
+	const type = String((repoConfig && repoConfig.provider) || "github").toLowerCase()
+	// Forgejo is a Gitea fork with the same API
+	return type === "forgejo" ? "gitea" : type
+}
+
+export function createProvider(repoConfig, token) {
+	const type = getProviderType(repoConfig)
+	const Provider = PROVIDERS[type]
+	if (!Provider) throw new Error(`Unknown provider "${repoConfig.provider}", expected one of: ${Object.keys(PROVIDERS).join(", ")}`)
+
+	if (type === "local") return new Provider({ gitDir: repoConfig.gitDir, author: repoConfig.author })
+
+	const [owner, ...rest] = repoConfig.repo.split("/")
+	return new Provider({ owner, repo: rest.join("/"), token, apiBaseUrl: repoConfig.apiBaseUrl || null })
+}
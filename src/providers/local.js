@@ -0,0 +1,535 @@
+import { promises as fs, constants as fsConstants } from "fs"
+import * as nodePath from "path"
+import * as zlib from "zlib"
+import * as crypto from "crypto"
+
+const OBJECT_TYPES = { 1: "commit", 2: "tree", 3: "blob", 4: "tag" }
+const OFS_DELTA = 6
+const REF_DELTA = 7
+const MAX_HISTORY_DEPTH = 1000 // commits walked at most to list the history of a path
+
+function notFound(message) {
+	const error = new Error(message)
+	error.status = 404
+	return error
+}
+
+async function exists(path) {
+	try {
+		await fs.access(path)
+		return true
+	} catch (e) {
+		return false
+	}
+}
+
+// Rules of `git check-ref-format` for a branch name, which becomes a path under refs/heads
+function checkBranchName(branch) {
+	const valid = branch && branch !== "@" && !branch.endsWith(".")
+		&& !branch.includes("..") && !branch.includes("@{")
+		&& !/[\u0000-\u0020\u007f~^:?*[\\]/.test(branch)
+		&& branch.split("/").every(part => part && !part.startsWith(".") && !part.endsWith(".lock"))
+	if (!valid) throw new Error(`"${branch}" is not a valid branch name`)
+}
+
+// Git sorts tree entries by name, folders being compared as if their name ended with a slash
+function compareTreeEntries(a, b) {
+	const nameA = a.mode === "40000" ? `${a.name}/` : a.name
+	const nameB = b.mode === "40000" ? `${b.name}/` : b.name
+	return nameA < nameB ? -1 : nameA > nameB ? 1 : 0
+}
+
+function parseTree(content) {
+	const entries = []
+	let pos = 0
+	while (pos < content.length) {
+		const space = content.indexOf(0x20, pos)
+		const nul = content.indexOf(0, space)
+		entries.push({
+			mode: content.toString("utf8", pos, space),
+			name: content.toString("utf8", space + 1, nul),
+			sha: content.toString("hex", nul + 1, nul + 21)
+		})
+		pos = nul + 21
+	}
+	return entries
+}
+
+function parseCommit(content) {
+	const text = content.toString("utf8")
+	const headerEnd = text.indexOf("\n\n")
+	const headers = text.substring(0, headerEnd).split("\n")
+	const commit = { tree: null, parents: [], author: "", date: null, message: text.substring(headerEnd + 2) }
+
+	for (const line of headers) {
+		const [key, ...rest] = line.split(" ")
+		const value = rest.join(" ")
+		if (key === "tree") commit.tree = value
+		else if (key === "parent") commit.parents.push(value)
+		else if (key === "author") {
+			const match = value.match(/^(.*) <.*> (\d+) [+-]\d{4}$/)
+			if (match) {
+				commit.author = match[1]
+				commit.date = new Date(Number(match[2]) * 1000).toISOString()
+			}
+		}
+	}
+	return commit
+}
+
+// Size and copy/insert instructions of a delta, applied to the base object
+function applyDelta(base, delta) {
+	let pos = 0
+	const readSize = () => {
+		let size = 0
+		let shift = 0
+		let byte
+		do {
+			byte = delta[pos++]
+			size |= (byte & 0x7f) << shift
+			shift += 7
+		} while (byte & 0x80)
+		return size
+	}
+
+	readSize() // size of the base
+	const result = Buffer.alloc(readSize())
+	let out = 0
+
+	while (pos < delta.length) {
+		const opcode = delta[pos++]
+		if (opcode & 0x80) {
+			let offset = 0
+			let size = 0
+			for (let i = 0; i < 4; i++) {
+				if (opcode & (1 << i)) offset |= delta[pos++] << (8 * i)
+			}
+			for (let i = 0; i < 3; i++) {
+				if (opcode & (1 << (4 + i))) size |= delta[pos++] << (8 * i)
+			}
+			if (size === 0) size = 0x10000
+			base.copy(result, out, offset >>> 0, (offset >>> 0) + size)
+			out += size
+		} else {
+			delta.copy(result, out, pos, pos + opcode)
+			pos += opcode
+			out += opcode
+		}
+	}
+	return result
+}
+
+// A bare git repository on disk (local drive, NAS...), read and written directly in its object database,
+// so that a regular `git clone` of it sees the commits. Loose objects and packfiles are both read,
+// new objects are always written loose.
+export class LocalGitProvider {
+	constructor({ gitDir, author }) {
+		this.name = "Local repository"
+		this.uploadsBlobs = true
+
+		this.gitDir = gitDir
+		this.author = { name: "Obsidian GitPush", email: "gitpush@localhost", ...(author || {}) }
+		this.packs = null // { index, path, size, offsets } of every packfile, listed on first use
+	}
+
+	resolve(...parts) {
+		return nodePath.join(this.gitDir, ...parts)
+	}
+
+	async checkRepository() {
+		if (!this.gitDir) throw new Error("\"gitDir\" is required for local repositories")
+		if (!await exists(this.resolve("objects")) || !await exists(this.resolve("refs"))) {
+			throw notFound(`${this.gitDir} is not a bare git repository`)
+		}
+	}
+
+	// -- References --
+
+	async readRefs() {
+		const refs = new Map() // branch name -> commit sha
+
+		const packedPath = this.resolve("packed-refs")
+		if (await exists(packedPath)) {
+			for (const line of (await fs.readFile(packedPath, "utf8")).split("\n")) {
+				const match = line.match(/^([0-9a-f]{40}) refs\/heads\/(.+)$/)
+				if (match) refs.set(match[2], match[1])
+			}
+		}
+
+		// Loose refs take precedence over packed ones
+		const walk = async (dir, prefix) => {
+			if (!await exists(dir)) return
+			for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+				const name = `${prefix}${entry.name}`
+				if (entry.isDirectory()) await walk(nodePath.join(dir, entry.name), `${name}/`)
+				else if (!entry.name.endsWith(".lock")) refs.set(name, (await fs.readFile(nodePath.join(dir, entry.name), "utf8")).trim())
+			}
+		}
+		await walk(this.resolve("refs", "heads"), "")
+		return refs
+	}
+
+	async listBranches() {
+		await this.checkRepository()
+		return [...(await this.readRefs()).keys()]
+	}
+
+	// The repository is set by "gitDir", there's nothing to pick from
+	async listRepositories() {
+		return []
+	}
+
+	// Null for the first branch of an empty repository, which the first push creates
+	async getBranchHead(branch) {
+		await this.checkRepository()
+		const refs = await this.readRefs()
+		if (refs.has(branch)) return refs.get(branch)
+		if (refs.size === 0) return null
+		throw notFound(`Branch ${branch} not found in ${this.gitDir}`)
+	}
+
+	// Moves the branch only if it still points to `expected`, the lock file keeps other git processes out meanwhile
+	async updateRef(branch, expected, sha) {
+		checkBranchName(branch)
+		const refPath = this.resolve("refs", "heads", ...branch.split("/"))
+		const lockPath = `${refPath}.lock`
+		await fs.mkdir(nodePath.dirname(refPath), { recursive: true })
+
+		let lock
+		try {
+			lock = await fs.open(lockPath, "wx")
+		} catch (e) {
+			if (e.code === "EEXIST") return false
+			throw e
+		}
+
+		try {
+			const current = (await this.readRefs()).get(branch) || null
+			if (current !== expected) {
+				await lock.close()
+				await fs.unlink(lockPath)
+				return false
+			}
+
+			await lock.writeFile(`${sha}\n`)
+			await lock.close()
+			await fs.rename(lockPath, refPath)
+			return true
+		} catch (e) {
+			await fs.unlink(lockPath).catch(() => {})
+			throw e
+		}
+	}
+
+	async createBranch(name, fromBranch) {
+		const sha = await this.getBranchHead(fromBranch)
+		if (!sha) throw new Error(`${fromBranch} has no commit yet`)
+		if (!await this.updateRef(name, null, sha)) throw new Error(`Branch ${name} already exists`)
+	}
+
+	// -- Objects --
+
+	async loadPacks() {
+		if (this.packs) return this.packs
+
+		this.packs = []
+		const packDir = this.resolve("objects", "pack")
+		if (!await exists(packDir)) return this.packs
+
+		for (const name of await fs.readdir(packDir)) {
+			if (!name.endsWith(".idx")) continue
+			const path = nodePath.join(packDir, name.replace(/\.idx$/, ".pack"))
+			const index = await fs.readFile(nodePath.join(packDir, name))
+			this.packs.push({ index, path, size: (await fs.stat(path)).size, offsets: null })
+		}
+		return this.packs
+	}
+
+	// Offset of the object at `position` in a version 2 pack index
+	readIndexOffset(index, count, position) {
+		const offsetsStart = (8 + (256 * 4)) + (count * 24)
+		const offset = index.readUInt32BE(offsetsStart + (position * 4))
+		if (!(offset & 0x80000000)) return offset
+
+		// Packs over 2 GB store big offsets in a separate table
+		const largeStart = offsetsStart + (count * 4)
+		return Number(index.readBigUInt64BE(largeStart + ((offset & 0x7fffffff) * 8)))
+	}
+
+	// Offset of an object in a version 2 pack index, or null if the pack doesn't have it
+	findInPack({ index }, sha) {
+		const target = Buffer.from(sha, "hex")
+		const fanout = 8
+		const count = index.readUInt32BE(fanout + (255 * 4))
+
+		let low = target[0] === 0 ? 0 : index.readUInt32BE(fanout + ((target[0] - 1) * 4))
+		let high = index.readUInt32BE(fanout + (target[0] * 4))
+		const shasStart = fanout + (256 * 4)
+
+		while (low < high) {
+			const mid = (low + high) >>> 1
+			const cmp = index.compare(target, 0, 20, shasStart + (mid * 20), shasStart + (mid * 20) + 20)
+			if (cmp === 0) return this.readIndexOffset(index, count, mid)
+			if (cmp < 0) low = mid + 1
+			else high = mid
+		}
+		return null
+	}
+
+	// Where the object at `offset` ends: at the next object, or at the checksum closing the pack
+	getObjectEnd(pack, offset) {
+		if (!pack.offsets) {
+			const count = pack.index.readUInt32BE(8 + (255 * 4))
+			pack.offsets = new Float64Array(count)
+			for (let i = 0; i < count; i++) pack.offsets[i] = this.readIndexOffset(pack.index, count, i)
+			pack.offsets.sort()
+		}
+
+		let low = 0
+		let high = pack.offsets.length
+		while (low < high) {
+			const mid = (low + high) >>> 1
+			if (pack.offsets[mid] <= offset) low = mid + 1
+			else high = mid
+		}
+		return low < pack.offsets.length ? pack.offsets[low] : pack.size - 20
+	}
+
+	// Reads only the bytes of the object (and of its delta bases) from the pack, which may be large
+	async readPackedObject(pack, offset, handle = null) {
+		if (!handle) {
+			const file = await fs.open(pack.path, "r")
+			try {
+				return await this.readPackedObject(pack, offset, file)
+			} finally {
+				await file.close()
+			}
+		}
+
+		const data = Buffer.alloc(this.getObjectEnd(pack, offset) - offset)
+		await handle.read(data, 0, data.length, offset)
+
+		let pos = 0
+		let byte = data[pos++]
+		const type = (byte >> 4) & 7
+		while (byte & 0x80) byte = data[pos++]
+
+		if (type === OFS_DELTA) {
+			byte = data[pos++]
+			let distance = byte & 0x7f
+			while (byte & 0x80) {
+				byte = data[pos++]
+				distance = ((distance + 1) << 7) | (byte & 0x7f)
+			}
+			const base = await this.readPackedObject(pack, offset - distance, handle)
+			return { type: base.type, content: applyDelta(base.content, zlib.inflateSync(data.subarray(pos))) }
+		}
+
+		if (type === REF_DELTA) {
+			const base = await this.readObject(data.toString("hex", pos, pos + 20))
+			return { type: base.type, content: applyDelta(base.content, zlib.inflateSync(data.subarray(pos + 20))) }
+		}
+
+		return { type: OBJECT_TYPES[type], content: zlib.inflateSync(data.subarray(pos)) }
+	}
+
+	// The object from the known packs, or null when none has it or its pack was removed (repacked by git gc)
+	async readFromPacks(sha) {
+		for (const pack of await this.loadPacks()) {
+			const offset = this.findInPack(pack, sha)
+			if (offset === null) continue
+			try {
+				return await this.readPackedObject(pack, offset)
+			} catch (e) {
+				if (e.code === "ENOENT") return null
+				throw e
+			}
+		}
+		return null
+	}
+
+	async readObject(sha) {
+		const loosePath = this.resolve("objects", sha.substring(0, 2), sha.substring(2))
+		if (await exists(loosePath)) {
+			const raw = zlib.inflateSync(await fs.readFile(loosePath))
+			const nul = raw.indexOf(0)
+			return { type: raw.toString("utf8", 0, raw.indexOf(0x20)), content: raw.subarray(nul + 1) }
+		}
+
+		let object = await this.readFromPacks(sha)
+		if (!object) {
+			// A push or a git gc from outside may have added or replaced packs since they were listed
+			this.packs = null
+			object = await this.readFromPacks(sha)
+		}
+		if (!object) throw notFound(`Object ${sha} not found in ${this.gitDir}`)
+		return object
+	}
+
+	async writeObject(type, content) {
+		const raw = Buffer.concat([Buffer.from(`${type} ${content.length}\0`), content])
+		const sha = crypto.createHash("sha1").update(raw).digest("hex")
+
+		const objectPath = this.resolve("objects", sha.substring(0, 2), sha.substring(2))
+		if (!await exists(objectPath)) {
+			await fs.mkdir(nodePath.dirname(objectPath), { recursive: true })
+			const tmpPath = `${objectPath}.${process.pid}.tmp`
+			await fs.writeFile(tmpPath, zlib.deflateSync(raw))
+			await fs.rename(tmpPath, objectPath)
+		}
+		return sha
+	}
+
+	async readCommit(sha) {
+		return parseCommit((await this.readObject(sha)).content)
+	}
+
+	// pathInRepo -> blob sha of every file under the tree, submodules left aside
+	async readTreeFiles(treeSha, prefix = "", files = new Map()) {
+		for (const entry of parseTree((await this.readObject(treeSha)).content)) {
+			const path = `${prefix}${entry.name}`
+			if (entry.mode === "40000") await this.readTreeFiles(entry.sha, `${path}/`, files)
+			else if (entry.mode !== "160000") files.set(path, entry.sha)
+		}
+		return files
+	}
+
+	// Sha of the blob or tree at `path` in a tree, or null
+	async findTreeEntry(treeSha, path) {
+		let sha = treeSha
+		for (const name of path.split("/").filter(Boolean)) {
+			const entry = parseTree((await this.readObject(sha)).content).find(e => e.name === name)
+			if (!entry) return null
+			sha = entry.sha
+		}
+		return sha
+	}
+
+	// -- Provider interface, see GitHubProvider --
+
+	async getTree(commitSha) {
+		if (!commitSha) return new Map()
+		return await this.readTreeFiles((await this.readCommit(commitSha)).tree)
+	}
+
+	async readBlob(sha) {
+		return (await this.readObject(sha)).content
+	}
+
+	// Git LFS keeps the objects of a bare repository in lfs/objects/<2 chars>/<2 chars>/<oid>
+	async readLfsObject(branch, path) {
+		const head = await this.getBranchHead(branch)
+		const blobSha = head && (await this.getTree(head)).get(path)
+		const oid = blobSha && (await this.readBlob(blobSha)).toString("utf8").match(/^oid sha256:([0-9a-f]{64})$/m)
+		if (!oid) throw notFound(`No Git LFS object for ${path}`)
+		return await fs.readFile(this.resolve("lfs", "objects", oid[1].substring(0, 2), oid[1].substring(2, 4), oid[1]))
+	}
+
+	async createBlob(content) {
+		return await this.writeObject("blob", Buffer.from(content))
+	}
+
+	// Writes the trees changed by `entries` bottom-up, reusing the untouched ones of the parent commit
+	async writeTree(treeSha, changes) {
+		const entries = treeSha ? parseTree((await this.readObject(treeSha)).content) : []
+		const byName = new Map(entries.map(e => [e.name, e]))
+
+		const subfolders = new Map() // folder name -> changes relative to it
+		for (const [path, sha] of changes) {
+			const slash = path.indexOf("/")
+			if (slash === -1) {
+				if (sha === null) byName.delete(path)
+				else byName.set(path, { mode: (byName.get(path) || {}).mode || "100644", name: path, sha })
+				continue
+			}
+			const folder = path.substring(0, slash)
+			if (!subfolders.has(folder)) subfolders.set(folder, new Map())
+			subfolders.get(folder).set(path.substring(slash + 1), sha)
+		}
+
+		for (const [folder, folderChanges] of subfolders) {
+			const existing = byName.get(folder)
+			const sha = await this.writeTree(existing && existing.mode === "40000" ? existing.sha : null, folderChanges)
+			if (sha) byName.set(folder, { mode: "40000", name: folder, sha })
+			else byName.delete(folder)
+		}
+
+		// Git has no empty folders, a folder whose files were all deleted disappears
+		if (byName.size === 0) return null
+
+		const content = Buffer.concat([...byName.values()].sort(compareTreeEntries).map(e => Buffer.concat([
+			Buffer.from(`${e.mode} ${e.name}\0`),
+			Buffer.from(e.sha, "hex")
+		])))
+		return await this.writeObject("tree", content)
+	}
+
+	async commit({ branch, parent, entries, message }) {
+		const parentTree = parent ? (await this.readCommit(parent)).tree : null
+		const changes = new Map(entries.map(({ path, sha }) => [path, sha]))
+		const tree = await this.writeTree(parentTree, changes) || await this.writeObject("tree", Buffer.alloc(0))
+
+		const now = new Date()
+		const offset = -now.getTimezoneOffset()
+		const timezone = `${offset >= 0 ? "+" : "-"}${String(Math.floor(Math.abs(offset) / 60)).padStart(2, "0")}${String(Math.abs(offset) % 60).padStart(2, "0")}`
+		const signature = `${this.author.name} <${this.author.email}> ${Math.floor(now.getTime() / 1000)} ${timezone}`
+
+		const lines = [`tree ${tree}`]
+		if (parent) lines.push(`parent ${parent}`)
+		lines.push(`author ${signature}`, `committer ${signature}`, "", message.endsWith("\n") ? message : `${message}\n`)
+		const sha = await this.writeObject("commit", Buffer.from(lines.join("\n")))
+
+		const isFirstBranch = !parent && (await this.readRefs()).size === 0
+		if (!await this.updateRef(branch, parent, sha)) return null
+
+		// A fresh bare repository points HEAD to a branch that may not be the one pushed, `git clone` checks out HEAD
+		if (isFirstBranch) await fs.writeFile(this.resolve("HEAD"), `ref: refs/heads/${branch}\n`)
+		return sha
+	}
+
+	async listCommits({ branch, path = null, perPage = 30 }) {
+		const commits = []
+		let sha = await this.getBranchHead(branch)
+
+		for (let depth = 0; sha && commits.length < perPage && depth < MAX_HISTORY_DEPTH; depth++) {
+			const commit = await this.readCommit(sha)
+			const parent = commit.parents[0] || null
+
+			let touched = true
+			if (path) {
+				const current = await this.findTreeEntry(commit.tree, path)
+				const previous = parent ? await this.findTreeEntry((await this.readCommit(parent)).tree, path) : null
+				touched = current !== previous
+			}
+			if (touched) commits.push({ sha, message: commit.message, author: commit.author, date: commit.date, url: null })
+			sha = parent
+		}
+		return commits
+	}
+
+	async getCommitFiles(commitSha) {
+		const commit = await this.readCommit(commitSha)
+		const after = await this.readTreeFiles(commit.tree)
+		const before = commit.parents[0] ? await this.getTree(commit.parents[0]) : new Map()
+
+		const files = []
+		for (const [path, sha] of after) {
+			if (before.get(path) !== sha) files.push({ filename: path, status: before.has(path) ? "modified" : "added" })
+		}
+		for (const path of before.keys()) {
+			if (!after.has(path)) files.push({ filename: path, status: "removed" })
+		}
+		return files
+	}
+
+	async getBlobShaAtCommit(path, commitSha) {
+		return await this.findTreeEntry((await this.readCommit(commitSha)).tree, path)
+	}
+
+	// No account involved, only the permissions of the folder
+	async getAccess() {
+		await this.checkRepository()
+		const write = await fs.access(this.resolve("objects"), fsConstants.W_OK).then(() => true, () => false)
+		return { user: null, read: true, write }
+	}
+}
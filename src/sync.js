@@ -0,0 +1,1411 @@
+import {
+	Notice,
+	TFile,
+	TFolder,
+	normalizePath
+} from "obsidian"
+import * as crypto from "crypto"
+import ignore from "ignore"
+import { merge3, formatMergeResult, hasConflictMarkers, similarity } from "./merge"
+import { exportMarkdown, importMarkdown, hasMarkdownTransforms, getUpdatedTime, slugifyHeading, findLinkTargets, resolveRepoPath } from "./transforms"
+import { createProvider, getProviderType } from "./providers"
+import {
+	CONFIG_FILE_NAME,
+	getRepoPrefix,
+	getSyncStateKey,
+	getAutoSyncOptions,
+	getAttachmentNaming,
+	getAttachmentOptions,
+	isAttachmentExtension,
+	formatCommitMessage,
+	getGitBlobSha,
+	isMergeablePath,
+	runWithConcurrency
+} from "./utils"
+
+const UPLOAD_CONCURRENCY = 4
+const MAX_PUSH_ATTEMPTS = 3
+const RENAME_SIMILARITY = 0.5 // same threshold as git
+const MAX_RENAME_CANDIDATES = 20 // per side, beyond that only identical contents are paired
+
+function parseLfsPointer(content) {
+	if (content.byteLength > 1024) return null
+
+	const text = content.toString("utf8")
+	if (!text.startsWith("version https://git-lfs.github.com/spec/")) return null
+
+	const oid = text.match(/^oid sha256:([0-9a-f]{64})$/m)
+	const size = text.match(/^size (\d+)$/m)
+	if (!oid || !size) return null
+	return { oid: oid[1], size: Number(size[1]) }
+}
+
+// Authentication failures don't say much by themselves ("Not Found" for a private repository out of reach)
+function describeRemoteError(error, repoConfig) {
+	const message = error.message || "Unknown error"
+	if (error.status === 401) return `${message}: the token is invalid or expired`
+	if (error.status === 403 || error.status === 404) {
+		return `${message}: check that ${repoConfig.repo} exists and that the token can access it ("Test token" in the settings)`
+	}
+	return message
+}
+
+// Sync state of one linked folder (a folder holding a .obsidian-gitpush.json file).
+// Kept by the plugin so pushes, pulls and auto-sync work whether or not the panel is open.
+export class RepoSync {
+	constructor(plugin, configPath, config, id = configPath) {
+		this.plugin = plugin
+		this.app = plugin.app
+
+		this.id = id // config folder path, followed by "#name" when the config holds several targets
+		this.repoConfig = config
+		this.repoConfigPath = configPath
+		this.nestedConfigPaths = [] // subfolders with their own config, left to it unless "includeNested" is set
+
+		this.localFiles = []
+		this.remoteTree = null
+		this.remoteError = null
+		this.remoteBranch = null
+		this.remoteHead = null // commit the remote tree (and so the diff) was read from
+		this.branches = []
+
+		this.filesToPush = []
+		this.filesToPull = []
+		this.conflicts = []
+		this.provider = null // hosting API client, recreated when the config or the token changes
+		this.providerKey = null
+		this.mergeCache = new Map() // "path:localSha:remoteSha" -> merge3 result
+		this.similarityCache = new Map() // "oldSha:newSha" -> similarity of the two blobs
+		this.blobTexts = new Map() // blob sha -> text of the rename candidates, kept for the next refreshes
+		this.unselectedPaths = new Set() // pathInRepo of changes left out of the next push/pull
+		this.resolutions = new Map() // pathInRepo -> { strategy, localSha, remoteSha } chosen for a conflict
+		this.attachmentShas = new Map() // vault path -> blob sha of the attachments found by the last scan
+		this.pathCollisions = [] // { pathInRepo, files } different files that would be uploaded to the same path
+		this.unpublishedPaths = new Set() // pathInRepo of the notes kept out of the repository by their frontmatter
+		this.oversizedFiles = [] // { path, pathInRepo, size } files over the size limit, left out of the sync
+
+		this.isRefreshing = false
+		this.isSyncing = false
+		this.pendingRefreshArgs = null
+
+		this.progress = null // { label, done, total } while a push or pull is running
+		this.lastRemoteFetch = 0
+		this.lastLocalChange = 0
+		this.autoSyncPaused = false
+	}
+
+	// Notifies the panel (and anything else listening) that this repository state changed
+	changed() {
+		this.plugin.events.trigger("sync-changed", this)
+	}
+
+	setProgress(label, done, total) {
+		this.progress = label ? { label, done, total } : null
+		this.changed()
+	}
+
+	setConfig(config) {
+		if (JSON.stringify(config) === JSON.stringify(this.repoConfig)) return false
+
+		if (config.branch !== this.repoConfig.branch) delete this.plugin.settings.branchByConfig[this.id]
+		this.repoConfig = config
+		this.resetRemoteState()
+		return true
+	}
+
+	// "tokenSecret" in the config picks another secret of the keychain, for repositories of another account
+	getToken() {
+		return this.plugin.getToken(this.repoConfig.tokenSecret)
+	}
+
+	// Local repositories are read from the disk, every other provider needs a token
+	isConfigured() {
+		return getProviderType(this.repoConfig) === "local" || !!this.getToken()
+	}
+
+	getProvider() {
+		const token = this.getToken()
+		const { provider, apiBaseUrl, repo, gitDir, author } = this.repoConfig
+		const key = JSON.stringify([provider, apiBaseUrl, repo, gitDir, author, token])
+		if (!this.provider || this.providerKey !== key) {
+			this.provider = createProvider(this.repoConfig, token)
+			this.providerKey = key
+		}
+		return this.provider
+	}
+
+	getProviderName() {
+		try {
+			return this.getProvider().name
+		} catch (e) {
+			return "remote"
+		}
+	}
+
+	resetRemoteState() {
+		this.remoteTree = null
+		this.remoteError = null
+		this.branches = []
+		this.filesToPush = []
+		this.filesToPull = []
+		this.conflicts = []
+		this.mergeCache.clear()
+		this.similarityCache.clear()
+		this.blobTexts.clear()
+	}
+
+	async refresh(args = {}) {
+		if (this.isRefreshing) {
+			this.pendingRefreshArgs = args
+			return
+		}
+
+		this.isRefreshing = true
+		this.changed()
+
+		try {
+			await this.doRefresh(args)
+		} catch (e) {
+			console.error("GitPush refresh error:", e)
+		} finally {
+			this.isRefreshing = false
+
+			if (this.pendingRefreshArgs) {
+				const nextArgs = this.pendingRefreshArgs
+				this.pendingRefreshArgs = null
+				await this.refresh(nextArgs)
+			} else {
+				this.changed()
+			}
+		}
+	}
+
+	async doRefresh({ fetchRemote = false } = {}) {
+		await this.scanLocalFiles()
+
+		if (fetchRemote || (!this.remoteTree && !this.remoteError)) {
+			await this.fetchRemoteTree()
+		}
+
+		this.calculateDiff()
+
+		if (await this.scoreRenameCandidates()) {
+			this.calculateDiff()
+		}
+
+		if (await this.autoMergeConflicts()) {
+			await this.scanLocalFiles()
+			this.calculateDiff()
+		}
+	}
+
+	containsPath(path) {
+		const folder = this.repoConfigPath
+		if (!folder || folder === "/") return true
+		return path === folder || path.startsWith(`${folder}/`)
+	}
+
+	// Whether a vault path is part of this repository, either inside the linked folder or as a synced attachment
+	tracksPath(path) {
+		return this.containsPath(path) || this.localFiles.some(f => f.attachment && f.file.path === path)
+	}
+
+	// Whether a vault path belongs to a subfolder with its own config, which this target leaves out
+	isInNestedConfig(path) {
+		return this.nestedConfigPaths.some(folder => path.startsWith(`${folder}/`))
+	}
+
+	// A branch picked in the panel is kept until the "branch" of the config is changed
+	getBranch() {
+		const picked = this.plugin.settings.branchByConfig[this.id]
+		if (picked && picked.configBranch === (this.repoConfig.branch || null)) return picked.branch
+		return this.repoConfig.branch || "main"
+	}
+
+	getLabel() {
+		return this.repoConfig.name || `${this.repoConfig.repo} (${this.getBranch()})`
+	}
+
+	async setBranch(branch) {
+		if (!branch || branch === this.getBranch()) return
+		this.plugin.settings.branchByConfig[this.id] = { branch, configBranch: this.repoConfig.branch || null }
+		await this.plugin.saveSettings()
+		await this.refresh({ fetchRemote: true })
+	}
+
+	async createBranch(name) {
+		if (!this.repoConfig || !this.isConfigured()) return
+
+		const fromBranch = this.getBranch()
+
+		try {
+			await this.getProvider().createBranch(name, fromBranch)
+
+			// The new branch starts from the same commit, so it shares the same baseline
+			const fromState = this.plugin.getSyncState(this.repoConfig, fromBranch)
+			Object.assign(this.plugin.getSyncState(this.repoConfig, name), fromState)
+
+			new Notice(`Branch "${name}" created from ${fromBranch}`)
+			await this.setBranch(name)
+		} catch (e) {
+			console.error(e)
+			new Notice(`Failed to create branch: ${e.message}`)
+		}
+	}
+
+	async scanLocalFiles() {
+		if (!this.repoConfig || this.repoConfigPath === null) return
+
+		const files = []
+		const folder = this.app.vault.getAbstractFileByPath(this.repoConfigPath)
+		const maxSize = getAttachmentOptions(this.repoConfig).maxSize * 1024 * 1024
+		this.oversizedFiles = []
+		this.unpublishedPaths.clear()
+		this.nestedConfigPaths = []
+
+		if (folder instanceof TFolder) {
+			const gitignore = await this.getGitignore(folder)
+			const folderFiles = []
+
+			const scan = async (f) => {
+				if (f instanceof TFile) {
+					const relativePath = f.path.substring(this.repoConfigPath.length).replace(/^\//, "")
+					if (f.name === CONFIG_FILE_NAME) return
+					if (gitignore && gitignore.ignores(relativePath)) return
+
+					if (!this.isPublished(f)) {
+						this.unpublishedPaths.add(this.getPathInRepo(f))
+						return
+					}
+					if (f.stat.size > maxSize) {
+						this.oversizedFiles.push({ path: f.path, pathInRepo: this.getPathInRepo(f), size: f.stat.size })
+						return
+					}
+					folderFiles.push(f)
+				} else if (f instanceof TFolder) {
+					if (!this.repoConfig.includeNested && await this.plugin.hasRepoConfig(f)) {
+						this.nestedConfigPaths.push(f.path)
+						return
+					}
+					for (const child of f.children) await scan(child)
+				}
+			}
+			for (const child of folder.children) await scan(child)
+
+			// Attachments embedded in the notes are synced to imagesPath, wherever they are stored in the vault.
+			// They are hashed first since their path in the repository (and so links to them) may depend on their content.
+			const attachmentsByNote = new Map()
+			for (const note of folderFiles.filter(f => f.extension === "md")) {
+				attachmentsByNote.set(note, await this.collectAttachments(note))
+			}
+
+			this.attachmentShas.clear()
+			const attachments = []
+			for (const attachment of new Set([...attachmentsByNote.values()].flatMap(set => [...set]))) {
+				if (attachment.stat.size > maxSize) {
+					if (!this.oversizedFiles.some(f => f.path === attachment.path)) {
+						this.oversizedFiles.push({ path: attachment.path, pathInRepo: this.getAttachmentPathInRepo(attachment), size: attachment.stat.size })
+					}
+					continue
+				}
+
+				try {
+					const sha = getGitBlobSha(await this.app.vault.readBinary(attachment))
+					this.attachmentShas.set(attachment.path, sha)
+					attachments.push({
+						file: attachment,
+						sha: sha,
+						pathInRepo: this.getAttachmentPathInRepo(attachment, sha),
+						localPath: attachment.path,
+						attachment: true
+					})
+				} catch (e) {
+					console.error(`Error reading ${attachment.path}`, e)
+				}
+			}
+
+			const entries = []
+			for (const f of folderFiles) {
+				try {
+					const content = await this.readLocalForRepo(f)
+					const entry = {
+						file: f,
+						sha: getGitBlobSha(content),
+						pathInRepo: this.getPathInRepo(f),
+						localPath: f.path.substring(this.repoConfigPath.length).replace(/^\//, "")
+					}
+					if (attachmentsByNote.has(f)) {
+						entry.attachments = [...attachmentsByNote.get(f)]
+							.filter(a => this.attachmentShas.has(a.path))
+							.map(a => this.getAttachmentPathInRepo(a))
+					}
+					entries.push(entry)
+				} catch (e) {
+					console.error(`Error reading ${f.path}`, e)
+				}
+			}
+
+			// Different files ending up at the same path (same attachment name, same "gitpush-path") would overwrite each other
+			this.pathCollisions = []
+			const filesByPath = new Map()
+			for (const entry of [...entries, ...attachments]) {
+				const existing = filesByPath.get(entry.pathInRepo)
+				if (!existing) {
+					filesByPath.set(entry.pathInRepo, entry)
+					files.push(entry)
+				} else if (existing.file !== entry.file && existing.sha !== entry.sha) {
+					const collision = this.pathCollisions.find(c => c.pathInRepo === entry.pathInRepo)
+					if (collision) collision.files.push(entry.file.path)
+					else this.pathCollisions.push({ pathInRepo: entry.pathInRepo, files: [existing.file.path, entry.file.path] })
+				}
+			}
+		}
+		this.localFiles = files
+	}
+
+	async getGitignore(folder) {
+		const path = normalizePath(`${folder.path}/.gitignore`)
+		if (await this.app.vault.adapter.exists(path)) {
+			try {
+				const content = await this.app.vault.adapter.read(path)
+				return ignore().add(content)
+			} catch (e) {
+				return null
+			}
+		}
+		return null
+	}
+
+	async fetchRemoteTree() {
+		if (!this.repoConfig) return
+		if (!this.isConfigured()) {
+			this.remoteError = this.repoConfig.tokenSecret
+				? `Secret "${this.repoConfig.tokenSecret}" not found in the keychain`
+				: "No token set, sign in from the GitPush settings"
+			return
+		}
+
+		this.remoteTree = null
+		this.remoteError = null
+
+		const branch = this.getBranch()
+		this.remoteBranch = branch
+
+		let provider
+		try {
+			provider = this.getProvider()
+		} catch (e) {
+			this.remoteError = e.message
+			return
+		}
+
+		try {
+			this.branches = await provider.listBranches()
+		} catch (e) {
+			console.error("Failed to list branches", e)
+			this.branches = []
+		}
+
+		try {
+			const latestCommitSha = await provider.getBranchHead(branch)
+			this.remoteTree = await provider.getTree(latestCommitSha)
+			this.remoteHead = latestCommitSha
+			this.lastRemoteFetch = Date.now()
+		} catch (e) {
+			console.error("Failed to fetch remote tree", e)
+			this.remoteTree = null
+			this.remoteError = describeRemoteError(e, this.repoConfig)
+		}
+	}
+
+	calculateDiff() {
+		this.filesToPush = []
+		this.filesToPull = []
+		this.conflicts = []
+
+		if (!this.remoteTree) return
+
+		const remoteTree = this.remoteTree
+		const prefix = getRepoPrefix(this.repoConfig)
+
+		const localMap = new Map()
+		this.localFiles.forEach(f => localMap.set(f.pathInRepo, f))
+
+		// A legacy path is kept when the repository has that version, or has the file and the local one is that version.
+		// Others show up as new files rather than as files deleted remotely.
+		const seeded = this.plugin.seedSyncStateFromLegacy(this.repoConfig, this.remoteBranch, (path, sha) => {
+			const local = localMap.get(path)
+			return remoteTree.get(path) === sha || (remoteTree.has(path) && !!local && local.sha === sha)
+		})
+		const lastSynced = this.plugin.getSyncState(this.repoConfig, this.remoteBranch)
+
+		const allPaths = new Set([...localMap.keys()])
+		for (const path of remoteTree.keys()) {
+			// Paths outside the folder (attachments, "gitpush-path") are only followed once synced,
+			// new attachments come with the notes embedding them
+			if (!prefix || path.startsWith(prefix) || lastSynced[path]) {
+				allPaths.add(path)
+			}
+		}
+
+		// Files too big to be synced are left as they are on both sides
+		const oversizedPaths = new Set(this.oversizedFiles.map(f => f.pathInRepo))
+		let stateUpdated = seeded
+
+		for (const path of allPaths) {
+			if (oversizedPaths.has(path)) continue
+
+			const local = localMap.get(path)
+			const localSha = local ? local.sha : null
+			const remoteSha = remoteTree.get(path)
+			const lastSha = lastSynced[path]
+
+			// Files of a nested config folder belong to that config's own targets
+			if (!local && this.isInNestedConfig(this.getLocalPath(path))) continue
+
+			// Unpublished notes are removed from the repository, but never overwritten by it
+			if (this.unpublishedPaths.has(path) && !local) {
+				if (remoteSha && lastSha === remoteSha) {
+					this.filesToPush.push({ pathInRepo: path, sha: null, status: "deleted (unpublished)", remoteSha: remoteSha, localPath: this.getRelativePath(path) })
+				}
+				continue
+			}
+
+			if (localSha === remoteSha) {
+				if (lastSha !== localSha && localSha) {
+					lastSynced[path] = localSha
+					stateUpdated = true
+				}
+				continue
+			}
+
+			if (localSha && !remoteSha) {
+				if (!lastSha) {
+					this.filesToPush.push({ ...local, status: "new" })
+				} else if (local.attachment) {
+					// Attachments may live anywhere and be embedded by other notes, so they're never deleted from the vault.
+					// A note of the folder still embeds this one, it is uploaded again.
+					delete lastSynced[path]
+					stateUpdated = true
+					this.filesToPush.push({ ...local, status: "new" })
+				} else {
+					this.filesToPull.push({ pathInRepo: path, sha: null, status: "deleted-remotely", localFile: local.file, localSha: localSha, baseSha: lastSha })
+				}
+				continue
+			}
+
+			if (!localSha && remoteSha) {
+				if (lastSha === remoteSha) {
+					// An attachment no note embeds anymore is removed, unless another linked folder pushed it too
+					if (this.isAttachmentPath(path) && this.isSharedAttachment(path)) {
+						delete lastSynced[path]
+						stateUpdated = true
+						continue
+					}
+					this.filesToPush.push({ pathInRepo: path, sha: null, status: "deleted", remoteSha: remoteSha, localPath: this.getRelativePath(path) })
+				} else if (lastSha && lastSha !== remoteSha) {
+					this.conflicts.push({
+						pathInRepo: path,
+						localSha: null,
+						remoteSha: remoteSha,
+						baseSha: lastSha,
+						localFile: null,
+						localPath: this.getRelativePath(path)
+					})
+				} else {
+					this.filesToPull.push({ pathInRepo: path, sha: remoteSha, status: "new-remote" })
+				}
+				continue
+			}
+
+			if (localSha && remoteSha) {
+				if (localSha === lastSha && remoteSha !== lastSha) {
+					this.filesToPull.push({
+						pathInRepo: path,
+						sha: remoteSha,
+						status: "modified-remote",
+						localFile: local.file
+					})
+				} else if (localSha !== lastSha && remoteSha === lastSha) {
+					this.filesToPush.push({ ...local, status: "modified" })
+				} else {
+					this.conflicts.push({
+						pathInRepo: path,
+						localSha: localSha,
+						remoteSha: remoteSha,
+						baseSha: lastSha || null,
+						localFile: local.file,
+						localPath: local.localPath
+					})
+				}
+			}
+		}
+
+		this.applyRenames()
+
+		for (const conflict of [...this.conflicts]) {
+			const resolution = this.resolutions.get(conflict.pathInRepo)
+			if (resolution && resolution.localSha === conflict.localSha && resolution.remoteSha === conflict.remoteSha) {
+				this.applyResolution(conflict, resolution.strategy)
+			}
+		}
+
+		if (stateUpdated) {
+			this.plugin.saveSettings()
+		}
+	}
+
+	// Deletions and additions that may be the two halves of a rename. Remote renames are only followed
+	// for notes left unchanged locally, so moving them never drops local edits.
+	getRenameCandidates() {
+		return [
+			{
+				removed: this.filesToPush.filter(f => f.status === "deleted"),
+				added: this.filesToPush.filter(f => f.status === "new"),
+				oldSha: f => f.remoteSha
+			},
+			{
+				removed: this.filesToPull.filter(f => f.status === "deleted-remotely" && f.localSha === f.baseSha),
+				added: this.filesToPull.filter(f => f.status === "new-remote" && !this.isAttachmentPath(f.pathInRepo)),
+				oldSha: f => f.localSha
+			}
+		]
+	}
+
+	// Identical contents are paired first, then the most similar ones among the scores computed so far
+	pairRenames({ removed, added, oldSha }) {
+		const pairs = []
+		const used = new Set()
+
+		for (const item of added) {
+			const match = removed.find(r => !used.has(r) && oldSha(r) === item.sha)
+			if (match) {
+				used.add(match)
+				pairs.push([match, item])
+			}
+		}
+
+		for (const item of added) {
+			if (pairs.some(([, a]) => a === item)) continue
+
+			let best = null
+			let bestScore = RENAME_SIMILARITY
+			for (const r of removed) {
+				if (used.has(r)) continue
+				const score = this.similarityCache.get(`${oldSha(r)}:${item.sha}`)
+				if (score >= bestScore) {
+					best = r
+					bestScore = score
+				}
+			}
+			if (best) {
+				used.add(best)
+				pairs.push([best, item])
+			}
+		}
+		return pairs
+	}
+
+	applyRenames() {
+		const [pushCandidates, pullCandidates] = this.getRenameCandidates()
+
+		for (const [removed, added] of this.pairRenames(pushCandidates)) {
+			this.filesToPush = this.filesToPush.filter(f => f !== removed)
+			this.filesToPush[this.filesToPush.indexOf(added)] = { ...added, status: "renamed", oldPathInRepo: removed.pathInRepo, remoteSha: removed.remoteSha }
+		}
+
+		for (const [removed, added] of this.pairRenames(pullCandidates)) {
+			this.filesToPull = this.filesToPull.filter(f => f !== removed)
+			this.filesToPull[this.filesToPull.indexOf(added)] = { ...added, status: "renamed-remote", oldPathInRepo: removed.pathInRepo, localFile: removed.localFile, localSha: removed.localSha }
+		}
+	}
+
+	// Compares the contents of the text files left unpaired, to also detect files renamed and edited.
+	// Returns whether a new rename was found, the diff has to be recomputed then.
+	async scoreRenameCandidates() {
+		if (!this.isConfigured()) return false
+
+		const readText = async (sha, file) => {
+			if (!this.blobTexts.has(sha)) {
+				const text = (file ? await this.readLocalForRepo(file) : await this.readRemoteBlob(sha)).toString("utf8")
+				this.blobTexts.set(sha, text)
+			}
+			return this.blobTexts.get(sha)
+		}
+
+		let found = false
+		const candidateShas = new Set()
+		for (const candidates of this.getRenameCandidates()) {
+			const { removed, added, oldSha } = candidates
+			if (removed.length > MAX_RENAME_CANDIDATES || added.length > MAX_RENAME_CANDIDATES) continue
+
+			for (const r of removed) {
+				for (const a of added) {
+					candidateShas.add(oldSha(r)).add(a.sha)
+					const key = `${oldSha(r)}:${a.sha}`
+					const extension = r.pathInRepo.split(".").pop()
+					if (this.similarityCache.has(key) || !isMergeablePath(r.pathInRepo) || a.pathInRepo.split(".").pop() !== extension) continue
+
+					try {
+						// Pushed renames compare the remote old version with the local new one, pulled renames the other way round
+						const oldText = await readText(oldSha(r), r.localFile)
+						const newText = await readText(a.sha, a.file)
+						this.similarityCache.set(key, similarity(oldText, newText))
+					} catch (e) {
+						console.error(`Failed to compare ${r.pathInRepo} with ${a.pathInRepo}`, e)
+						this.similarityCache.set(key, 0)
+					}
+					if (this.similarityCache.get(key) >= RENAME_SIMILARITY) found = true
+				}
+			}
+		}
+
+		// Texts of files no longer unpaired won't be compared again
+		for (const sha of this.blobTexts.keys()) {
+			if (!candidateShas.has(sha)) this.blobTexts.delete(sha)
+		}
+		return found
+	}
+
+	// Three-way merge of text conflicts, using the last synced blob as common ancestor.
+	// Clean merges are written to the vault right away, overlapping ones stay listed as conflicts.
+	async autoMergeConflicts() {
+		const candidates = this.conflicts.filter(c => c.localSha && c.remoteSha && c.localFile && isMergeablePath(c.pathInRepo))
+		if (candidates.length === 0 || !this.isConfigured()) return false
+
+		const lastSynced = this.plugin.getSyncState(this.repoConfig, this.remoteBranch)
+		const mergedPaths = []
+
+		for (const conflict of candidates) {
+			const cacheKey = `${conflict.pathInRepo}:${conflict.localSha}:${conflict.remoteSha}`
+			let result = this.mergeCache.get(cacheKey)
+
+			if (!result) {
+				try {
+					let baseText = ""
+					if (conflict.baseSha) {
+						try {
+							baseText = (await this.readRemoteBlob(conflict.baseSha)).toString("utf8")
+						} catch (e) {
+							console.warn(`Base version of ${conflict.pathInRepo} is not available, merging without it`, e)
+						}
+					}
+					const remoteText = (await this.readRemoteBlob(conflict.remoteSha)).toString("utf8")
+					const localText = (await this.readLocalForRepo(conflict.localFile)).toString("utf8")
+					result = merge3(baseText, localText, remoteText)
+				} catch (e) {
+					console.error(`Failed to merge ${conflict.pathInRepo}`, e)
+					continue
+				}
+				this.mergeCache.set(cacheKey, result)
+			}
+
+			if (result.clean) {
+				await this.writeLocalFromRepo(conflict.pathInRepo, Buffer.from(formatMergeResult(result.chunks)))
+				// The merged file now includes the remote changes, only the local ones are left to push
+				lastSynced[conflict.pathInRepo] = conflict.remoteSha
+				mergedPaths.push(conflict.pathInRepo)
+			} else {
+				conflict.merge = result
+			}
+		}
+
+		if (mergedPaths.length === 0) return false
+
+		await this.plugin.saveSettings()
+		new Notice(`Merged remote changes into ${mergedPaths.length} file(s)`)
+		return true
+	}
+
+	async markConflicts(conflict) {
+		if (!conflict.merge || !conflict.localFile) return
+
+		const text = formatMergeResult(conflict.merge.chunks, {
+			localLabel: "local",
+			remoteLabel: `${this.repoConfig.repo}@${this.remoteBranch}`
+		})
+		await this.writeLocalFromRepo(conflict.pathInRepo, Buffer.from(text))
+
+		const lastSynced = this.plugin.getSyncState(this.repoConfig, this.remoteBranch)
+		lastSynced[conflict.pathInRepo] = conflict.remoteSha
+		await this.plugin.saveSettings()
+
+		new Notice(`${conflict.merge.conflictCount} conflict(s) marked in ${conflict.localPath}. Edit the file, then push it.`)
+		await this.refresh({ fetchRemote: false })
+	}
+
+	async readRemoteBlob(sha) {
+		return await this.getProvider().readBlob(sha)
+	}
+
+	// Downloads a file by its blob SHA, checking its integrity. Git LFS pointers are resolved to the actual object.
+	async downloadFile(provider, branch, pathInRepo, sha) {
+		let content = await provider.readBlob(sha, { branch, path: pathInRepo })
+
+		if (getGitBlobSha(content) !== sha) {
+			throw new Error(`Integrity check failed for ${pathInRepo}`)
+		}
+
+		const lfsPointer = parseLfsPointer(content)
+		if (lfsPointer) {
+			content = await provider.readLfsObject(branch, pathInRepo)
+			const oid = crypto.createHash("sha256").update(content).digest("hex")
+			if (oid !== lfsPointer.oid || content.byteLength !== lfsPointer.size) {
+				throw new Error(`Integrity check failed for ${pathInRepo} (Git LFS)`)
+			}
+		}
+
+		return content
+	}
+
+	getRelativePath(pathInRepo) {
+		const prefix = getRepoPrefix(this.repoConfig)
+		return pathInRepo.startsWith(prefix) ? pathInRepo.substring(prefix.length).replace(/^\//, "") : pathInRepo
+	}
+
+	getLocalPath(pathInRepo) {
+		return normalizePath(`${this.repoConfigPath}/${this.getRelativePath(pathInRepo)}`)
+	}
+
+	getPathInRepo(file) {
+		const customPath = this.getFrontmatter(file)["gitpush-path"]
+		if (typeof customPath === "string" && customPath.trim()) {
+			// A leading slash makes it relative to the repository root, otherwise it's relative to the folder's "path"
+			const base = customPath.startsWith("/") ? "" : (this.repoConfig.path || "")
+			return normalizePath(`${base}/${customPath}`).replace(/^\//, "")
+		}
+
+		const relativePath = file.path.substring(this.repoConfigPath.length).replace(/^\//, "")
+		return normalizePath(`${this.repoConfig.path || ""}/${relativePath}`).replace(/^\//, "")
+	}
+
+	getFrontmatter(file) {
+		if (file.extension !== "md") return {}
+		const cache = this.app.metadataCache.getFileCache(file)
+		return (cache && cache.frontmatter) || {}
+	}
+
+	// "publish: false" and "draft: true" keep a note out of the repository
+	isPublished(file) {
+		const { publish, draft } = this.getFrontmatter(file)
+		return String(publish) !== "false" && String(draft) !== "true"
+	}
+
+	// Vault file synced to a path of the repository, following "gitpush-path" mappings
+	findLocalFile(pathInRepo) {
+		const tracked = this.localFiles.find(f => f.pathInRepo === pathInRepo)
+		if (tracked) return tracked.file
+
+		const file = this.app.vault.getAbstractFileByPath(this.getLocalPath(pathInRepo))
+		return file instanceof TFile ? file : null
+	}
+
+	getAttachmentsPrefix() {
+		return normalizePath(this.repoConfig.imagesPath || "images").replace(/^\//, "")
+	}
+
+	// `sha` is only needed by the content based namings, it defaults to the one found by the last scan
+	getAttachmentPathInRepo(file, sha = this.attachmentShas.get(file.path)) {
+		const prefix = this.getAttachmentsPrefix()
+		const naming = getAttachmentNaming(this.repoConfig)
+
+		if (naming === "folder") return `${prefix}/${file.path}`
+		if (naming === "hash" && sha) {
+			// Attachments pulled from the repository already carry the hash in their name
+			const suffix = `-${sha.substring(0, 8)}`
+			return `${prefix}/${file.basename.endsWith(suffix) ? file.basename : file.basename + suffix}.${file.extension}`
+		}
+		if (naming === "content" && sha) return `${prefix}/${sha}.${file.extension}`
+		return `${prefix}/${file.name}`
+	}
+
+	// Vault file stored at an attachment path of the repository, if there is one
+	findAttachmentFile(pathInRepo, sourcePath) {
+		const tracked = this.localFiles.find(f => f.attachment && f.pathInRepo === pathInRepo)
+		if (tracked) return tracked.file
+
+		const relativePath = pathInRepo.substring(this.getAttachmentsPrefix().length + 1)
+		if (getAttachmentNaming(this.repoConfig) === "folder") {
+			const file = this.app.vault.getAbstractFileByPath(relativePath)
+			return file instanceof TFile ? file : null
+		}
+		return this.app.metadataCache.getFirstLinkpathDest(relativePath.split("/").pop(), sourcePath)
+	}
+
+	isAttachmentPath(pathInRepo) {
+		const extension = pathInRepo.split(".").pop()
+		return pathInRepo.startsWith(`${this.getAttachmentsPrefix()}/`) && isAttachmentExtension(getAttachmentOptions(this.repoConfig), extension)
+	}
+
+	isSharedAttachment(pathInRepo) {
+		const ownKey = getSyncStateKey(this.repoConfig, this.remoteBranch)
+		const branchKey = `${this.repoConfig.repo}@${this.remoteBranch}:`
+		return Object.entries(this.plugin.settings.syncStates).some(([key, state]) => key !== ownKey && key.startsWith(branchKey) && state[pathInRepo])
+	}
+
+	// Repository paths of the attachments a note (in its repository form) embeds or links to
+	findAttachmentPaths(text, pathInRepo) {
+		const { wikilinks, urls } = findLinkTargets(text)
+		const naming = getAttachmentNaming(this.repoConfig)
+		const paths = urls.map(url => resolveRepoPath(pathInRepo, url))
+
+		// Wikilinks only name the vault file, which gives its path in the repository unless it's named after its content
+		if (naming === "name") paths.push(...wikilinks.map(linkpath => `${this.getAttachmentsPrefix()}/${linkpath.split("/").pop()}`))
+		if (naming === "folder") paths.push(...wikilinks.map(linkpath => `${this.getAttachmentsPrefix()}/${linkpath}`))
+
+		return [...new Set(paths)].filter(path => this.isAttachmentPath(path))
+	}
+
+	// Lets the Markdown transforms map links between vault files and repository paths, from the point of view of one note
+	getTransformContext(pathInRepo, sourcePath = this.getLocalPath(pathInRepo)) {
+		const prefix = getRepoPrefix(this.repoConfig)
+		const sourceFile = this.app.vault.getAbstractFileByPath(sourcePath)
+
+		return {
+			repoConfig: this.repoConfig,
+			pathInRepo,
+			mtime: sourceFile instanceof TFile ? sourceFile.stat.mtime : Date.now(),
+
+			getRepoTarget: (linkpath) => {
+				const file = this.app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath)
+				if (!file) return null
+				// Only attachments synced by the last scan are rewritten, links to anything else are left as they are
+				if (this.attachmentShas.has(file.path)) return { type: "attachment", pathInRepo: this.getAttachmentPathInRepo(file) }
+				if (file.extension === "md" && this.containsPath(file.path) && this.isPublished(file)) return { type: "note", pathInRepo: this.getPathInRepo(file) }
+				return null
+			},
+
+			getVaultTarget: (targetPath) => {
+				if (this.isAttachmentPath(targetPath)) {
+					const file = this.findAttachmentFile(targetPath, sourcePath)
+					// Left as a standard link when the attachment isn't in the vault, so it exports back unchanged
+					return file ? { type: "attachment", linktext: this.app.metadataCache.fileToLinktext(file, sourcePath, false) } : null
+				}
+
+				const tracked = this.localFiles.some(f => f.pathInRepo === targetPath)
+				if (!targetPath.endsWith(".md") || (!tracked && prefix && !targetPath.startsWith(`${prefix}/`))) return null
+
+				const file = this.findLocalFile(targetPath)
+				return {
+					type: "note",
+					file: file,
+					linktext: file ? this.app.metadataCache.fileToLinktext(file, sourcePath, true) : targetPath.split("/").pop().replace(/\.md$/, "")
+				}
+			},
+
+			// Headings are exported as GitHub anchors, this finds the heading text back from its anchor
+			findHeading: (target, anchor) => {
+				const cache = target.file && this.app.metadataCache.getFileCache(target.file)
+				const heading = cache && cache.headings && cache.headings.find(h => slugifyHeading(h.heading) === anchor)
+				return heading ? heading.heading : anchor
+			}
+		}
+	}
+
+	// Content of a vault file as it is stored in the repository (Markdown goes through the export transforms)
+	async readLocalForRepo(file) {
+		if (file.extension !== "md" || !hasMarkdownTransforms(this.repoConfig)) {
+			return Buffer.from(await this.app.vault.readBinary(file))
+		}
+
+		const pathInRepo = this.getPathInRepo(file)
+		const text = await this.app.vault.read(file)
+		return Buffer.from(exportMarkdown(text, this.getTransformContext(pathInRepo, file.path)))
+	}
+
+	// Writes repository content to the vault, reversing the Markdown transforms. Unless `discardLocal` is set
+	// (the incoming content replaces local changes), what only exists in the vault (comments, removed frontmatter
+	// fields...) is kept by merging the incoming changes into the local note, its exported version being the common ancestor.
+	async writeLocalFromRepo(pathInRepo, content, { discardLocal = false } = {}) {
+		if (!pathInRepo.endsWith(".md") || !hasMarkdownTransforms(this.repoConfig)) {
+			await this.writeLocalFile(pathInRepo, content)
+			return
+		}
+
+		const remoteText = Buffer.from(content).toString("utf8")
+		const localFile = this.findLocalFile(pathInRepo)
+		const context = this.getTransformContext(pathInRepo, localFile ? localFile.path : undefined)
+		let text = importMarkdown(remoteText, context)
+
+		if (localFile && !discardLocal) {
+			const localText = await this.app.vault.read(localFile)
+			const baseText = importMarkdown(exportMarkdown(localText, context), context)
+			// Lines changed on both sides take the incoming version
+			const { chunks } = merge3(baseText, localText, text)
+			text = chunks.flatMap(c => (c.type === "ok" ? c.lines : c.remote)).join("\n")
+		}
+
+		await this.writeLocalFile(pathInRepo, Buffer.from(text), { mtime: getUpdatedTime(remoteText, this.repoConfig) })
+	}
+
+	// `sourcePath` is the note an attachment unknown to the vault is pulled for, to store it where Obsidian would.
+	// `mtime` sets the modification time of the file, when it matters to the export transforms.
+	async writeLocalFile(pathInRepo, content, { sourcePath = "", mtime = null } = {}) {
+		const writeOptions = mtime ? { mtime } : undefined
+
+		// Attachments and notes with a "gitpush-path" aren't stored where their path in the repository would suggest
+		const tracked = this.localFiles.find(f => f.pathInRepo === pathInRepo)
+		if (tracked) {
+			await this.app.vault.modifyBinary(tracked.file, content, writeOptions)
+			return
+		}
+
+		const prefix = getRepoPrefix(this.repoConfig)
+		if (this.isAttachmentPath(pathInRepo) && prefix && !pathInRepo.startsWith(`${prefix}/`)) {
+			const attachmentPath = getAttachmentNaming(this.repoConfig) === "folder"
+				? pathInRepo.substring(this.getAttachmentsPrefix().length + 1)
+				: await this.app.fileManager.getAvailablePathForAttachment(pathInRepo.split("/").pop(), sourcePath)
+			const attachmentFolder = attachmentPath.substring(0, attachmentPath.lastIndexOf("/"))
+			if (attachmentFolder && !await this.app.vault.adapter.exists(attachmentFolder)) {
+				await this.app.vault.createFolder(attachmentFolder)
+			}
+			await this.app.vault.createBinary(attachmentPath, content)
+			return
+		}
+
+		const localPath = this.getLocalPath(pathInRepo)
+		const folderPath = localPath.substring(0, localPath.lastIndexOf("/"))
+
+		if (folderPath && !await this.app.vault.adapter.exists(folderPath)) {
+			await this.app.vault.createFolder(folderPath)
+		}
+
+		if (await this.app.vault.adapter.exists(localPath)) {
+			const existingFile = this.app.vault.getAbstractFileByPath(localPath)
+			if (existingFile instanceof TFile) {
+				await this.app.vault.modifyBinary(existingFile, content, writeOptions)
+			}
+		} else {
+			await this.app.vault.createBinary(localPath, content, writeOptions)
+		}
+	}
+
+	async moveLocalFile(file, newPath) {
+		const folderPath = newPath.substring(0, newPath.lastIndexOf("/"))
+		if (folderPath && !await this.app.vault.adapter.exists(folderPath)) {
+			await this.app.vault.createFolder(folderPath)
+		}
+		await this.app.vault.rename(file, newPath)
+	}
+
+	// Recent commits of the current branch, limited to `path` (the linked folder by default)
+	async listCommits({ path = getRepoPrefix(this.repoConfig), perPage = 30 } = {}) {
+		return await this.getProvider().listCommits({ branch: this.getBranch(), path, perPage })
+	}
+
+	async getCommitFiles(commitSha) {
+		const files = await this.getProvider().getCommitFiles(commitSha)
+		const prefix = getRepoPrefix(this.repoConfig)
+		return files.filter(f => !prefix || f.filename.startsWith(`${prefix}/`))
+	}
+
+	// Blob SHA of a file as it was in the given commit, or null if it didn't exist there
+	async getBlobShaAtCommit(pathInRepo, commitSha) {
+		return await this.getProvider().getBlobShaAtCommit(pathInRepo, commitSha)
+	}
+
+	async restoreVersion(pathInRepo, blobSha) {
+		const content = await this.readRemoteBlob(blobSha)
+		await this.writeLocalFromRepo(pathInRepo, content, { discardLocal: true })
+		await this.refresh({ fetchRemote: false })
+	}
+
+	// The choice is remembered until either side changes again, so it survives the next refresh
+	resolveConflict(conflict, strategy) {
+		this.resolutions.set(conflict.pathInRepo, { strategy, localSha: conflict.localSha, remoteSha: conflict.remoteSha })
+		this.applyResolution(conflict, strategy)
+		this.changed()
+	}
+
+	applyResolution(conflict, strategy) {
+		this.conflicts = this.conflicts.filter(c => c.pathInRepo !== conflict.pathInRepo)
+
+		if (strategy === "local") {
+			if (conflict.localSha) {
+				const local = this.localFiles.find(f => f.pathInRepo === conflict.pathInRepo)
+				if (local) this.filesToPush.push({ ...local, status: "modified (force)" })
+			} else {
+				this.filesToPush.push({
+					pathInRepo: conflict.pathInRepo,
+					sha: null,
+					status: "deleted (force)",
+					remoteSha: conflict.remoteSha,
+					localPath: conflict.localPath
+				})
+			}
+		} else if (strategy === "remote") {
+			if (conflict.remoteSha) {
+				this.filesToPull.push({
+					pathInRepo: conflict.pathInRepo,
+					sha: conflict.remoteSha,
+					status: "modified-remote (force)",
+					localFile: conflict.localFile
+				})
+			} else {
+				this.filesToPull.push({
+					pathInRepo: conflict.pathInRepo,
+					sha: null,
+					status: "deleted-remotely (force)",
+					localFile: conflict.localFile
+				})
+			}
+		}
+	}
+
+	resolveAllConflicts(strategy) {
+		for (const conflict of [...this.conflicts]) {
+			this.resolveConflict(conflict, strategy)
+		}
+	}
+
+	isSelected(item) {
+		return !this.unselectedPaths.has(item.pathInRepo)
+	}
+
+	setSelected(items, selected) {
+		for (const item of items) {
+			if (selected) this.unselectedPaths.delete(item.pathInRepo)
+			else this.unselectedPaths.add(item.pathInRepo)
+		}
+		this.changed()
+	}
+
+	// `paths` restricts the push to these pathInRepo, otherwise the selected changes are pushed
+	async push({ message = "", silent = false, paths = null } = {}) {
+		const selected = this.filesToPush.filter(f => paths ? paths.includes(f.pathInRepo) : this.isSelected(f))
+		if (selected.length === 0 || this.isSyncing) return false
+
+		// New or modified attachments always go with the notes embedding them
+		const attachmentPaths = new Set(selected.flatMap(f => f.attachments || []))
+		const filesToPush = [
+			...selected,
+			...this.filesToPush.filter(f => attachmentPaths.has(f.pathInRepo) && !selected.includes(f) && !f.status.startsWith("deleted"))
+		]
+
+		if (!this.isConfigured()) return false
+
+		const commitMessage = message || "Update from Obsidian"
+		const branch = this.getBranch()
+
+		const provider = this.getProvider()
+		const lastSynced = this.plugin.getSyncState(this.repoConfig, branch)
+
+		const pushedPaths = new Set(filesToPush.flatMap(f => [f.pathInRepo, ...(f.attachments || [])]))
+		const collision = this.pathCollisions.find(c => pushedPaths.has(c.pathInRepo))
+		if (collision) {
+			new Notice(`Push cancelled: ${collision.files.join(", ")} would all be uploaded as ${collision.pathInRepo}.`)
+			return false
+		}
+
+		for (const item of filesToPush) {
+			if (!item.file || !isMergeablePath(item.pathInRepo)) continue
+			if (hasConflictMarkers(await this.app.vault.read(item.file))) {
+				new Notice(`Push cancelled: ${item.localPath} still contains conflict markers.`)
+				return false
+			}
+		}
+
+		const notice = silent ? null : new Notice(`Pushing ${filesToPush.length} changes...`, 0)
+
+		this.isSyncing = true
+		try {
+			// -- Collect all tree entries and track state changes --
+			const treeEntries = []
+			const filesToTrack = []
+			const deletedPaths = []
+			const uploads = new Map() // blob sha -> { pathInRepo, file }
+
+			for (const item of filesToPush) {
+				if (item.oldPathInRepo) {
+					treeEntries.push({ path: item.oldPathInRepo, sha: null })
+					deletedPaths.push(item.oldPathInRepo)
+				}
+
+				if (item.status.startsWith("deleted")) {
+					treeEntries.push({ path: item.pathInRepo, sha: null }) // a null sha deletes the file
+					deletedPaths.push(item.pathInRepo)
+					continue
+				}
+
+				// The file may have changed since the last scan, so hash what is actually pushed
+				const sha = getGitBlobSha(await this.readLocalForRepo(item.file))
+				if (item.attachment && sha !== item.sha && ["hash", "content"].includes(getAttachmentNaming(this.repoConfig))) {
+					throw new Error(`${item.localPath} changed since the last refresh, please try again`)
+				}
+
+				treeEntries.push({ path: item.pathInRepo, sha: sha })
+				filesToTrack.push({ pathInRepo: item.pathInRepo, sha: sha })
+				uploads.set(sha, { pathInRepo: item.pathInRepo, file: item.file })
+			}
+
+			await this.uploadBlobs(provider, branch, uploads, notice)
+			this.setProgress("Creating commit...", uploads.size, uploads.size)
+			if (notice) notice.setMessage("Creating commit...")
+
+			try {
+				await this.commitTree(provider, branch, treeEntries, commitMessage)
+			} catch (e) {
+				// The forge refused the tree or the commit, a remembered blob may be gone: check them all again next time
+				if (e.status >= 400 && e.status < 500) {
+					delete this.plugin.settings.uploadedBlobs[getSyncStateKey(this.repoConfig, branch)]
+					await this.plugin.saveSettings()
+				}
+				throw e
+			}
+
+			// Update local tracking state
+			for (const { pathInRepo, sha } of filesToTrack) {
+				lastSynced[pathInRepo] = sha
+				if (this.remoteTree) this.remoteTree.set(pathInRepo, sha)
+			}
+			for (const path of deletedPaths) {
+				delete lastSynced[path]
+				if (this.remoteTree) this.remoteTree.delete(path)
+			}
+
+			if (notice) notice.hide()
+			if (!silent) new Notice("Push successful!")
+			delete this.plugin.settings.uploadedBlobs[getSyncStateKey(this.repoConfig, branch)]
+			await this.plugin.saveSettings()
+			this.isSyncing = false
+			await this.refresh({ fetchRemote: true })
+			return true
+		} catch (e) {
+			console.error(e)
+			if (notice) notice.hide()
+			new Notice(`Push failed: ${e.message}`)
+			return false
+		} finally {
+			this.isSyncing = false
+			this.setProgress(null)
+		}
+	}
+
+	// Creates the commit on top of the branch head. If someone pushed since the diff was computed, the diff
+	// is recomputed: the push is refused when they touched the same files, otherwise it is rebased on the new head.
+	async commitTree(provider, branch, treeEntries, commitMessage) {
+		const pushedPaths = treeEntries.map(e => e.path)
+
+		for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt++) {
+			const latestCommitSha = await provider.getBranchHead(branch)
+
+			if (latestCommitSha !== this.remoteHead) {
+				await this.fetchRemoteTree()
+				if (!this.remoteTree) throw new Error(`Failed to read the new state of ${branch}: ${this.remoteError}`)
+				this.calculateDiff()
+
+				const changedRemotely = [...this.conflicts, ...this.filesToPull]
+					.map(c => c.pathInRepo)
+					.filter(path => pushedPaths.includes(path))
+
+				if (changedRemotely.length > 0) {
+					throw new Error(`${branch} was updated meanwhile and these files changed remotely: ${changedRemotely.join(", ")}. Review the new changes before pushing again.`)
+				}
+			}
+
+			// Null when the branch moved after the check above, the next attempt rebases on the new head
+			const commitSha = await provider.commit({ branch, parent: this.remoteHead, entries: treeEntries, message: commitMessage })
+			if (commitSha) return commitSha
+		}
+
+		throw new Error(`${branch} keeps moving, please try again later.`)
+	}
+
+	// Uploads missing blobs a few at a time. Blobs the remote already has (same content somewhere in the remote
+	// tree, or uploaded by a push that failed midway) are skipped, so retrying a push resumes where it stopped.
+	// Providers that only keep blobs until the commit can't resume, so everything is sent again.
+	async uploadBlobs(provider, branch, uploads, notice) {
+		const resumeKey = getSyncStateKey(this.repoConfig, branch)
+		const uploaded = new Set(provider.uploadsBlobs ? this.plugin.settings.uploadedBlobs[resumeKey] || [] : [])
+		const remoteShas = new Set(this.remoteTree ? this.remoteTree.values() : [])
+		const pending = [...uploads].filter(([sha]) => !remoteShas.has(sha) && !uploaded.has(sha))
+
+		let done = 0
+		const report = () => {
+			const label = `Uploading ${done}/${pending.length} files`
+			this.setProgress(label, done, pending.length)
+			if (notice) notice.setMessage(label)
+		}
+		report()
+
+		try {
+			await runWithConcurrency(pending, UPLOAD_CONCURRENCY, async ([sha, upload]) => {
+				const content = await this.readLocalForRepo(upload.file)
+				const blobSha = await provider.createBlob(content)
+				if (blobSha !== sha) throw new Error(`${upload.pathInRepo} changed during the push, please try again`)
+
+				uploaded.add(sha)
+				done++
+				report()
+			})
+		} finally {
+			if (provider.uploadsBlobs) {
+				this.plugin.settings.uploadedBlobs[resumeKey] = [...uploaded]
+				await this.plugin.saveSettings()
+			}
+		}
+	}
+
+	// Files a note embeds (or links to, with "links": true), in its body or its frontmatter, filtered by the "attachments" options
+	async collectAttachments(file) {
+		const text = await this.app.vault.read(file)
+		const options = getAttachmentOptions(this.repoConfig)
+		const attachments = new Set()
+
+		const addLink = (link) => {
+			// Clean value: remove [[ ]], aliases |, anchors #
+			const cleanName = link.replace(/^\[\[/, "").replace(/\]\]$/, "").split("|")[0].split("#")[0]
+			const attachment = this.app.metadataCache.getFirstLinkpathDest(cleanName, file.path)
+			if (attachment && isAttachmentExtension(options, attachment.extension)) {
+				attachments.add(attachment)
+			}
+		}
+
+		// 1. Scan Frontmatter
+		const cache = this.app.metadataCache.getFileCache(file)
+		if (cache && cache.frontmatter) {
+			const processValue = (val) => {
+				if (typeof val === "string") addLink(val)
+				else if (Array.isArray(val)) val.forEach(processValue)
+			}
+
+			Object.keys(cache.frontmatter).forEach(key => {
+				if (key === "position") return
+				processValue(cache.frontmatter[key])
+			})
+		}
+
+		// 2. Scan Body (Regex)
+		const linkRegex = /(!?)\[\[(.*?)\]\]|(!?)\[.*?\]\((.*?)\)/g
+		let match
+		while ((match = linkRegex.exec(text)) !== null) {
+			const embedded = match[2] !== undefined ? match[1] : match[3]
+			if (embedded || options.links) addLink(match[2] !== undefined ? match[2] : match[4])
+		}
+
+		return attachments
+	}
+
+	// Attachments only known remotely are pulled along with the notes embedding them,
+	// before the note itself so its links can be turned back into vault links
+	async pullReferencedAttachments(provider, branch, note, lastSynced) {
+		const sourcePath = this.getLocalPath(note.pathInRepo)
+
+		for (const pathInRepo of this.findAttachmentPaths(note.text, note.pathInRepo)) {
+			const sha = this.remoteTree && this.remoteTree.get(pathInRepo)
+			if (!sha || lastSynced[pathInRepo]) continue
+
+			// An existing vault file would be embedded instead, the next refresh reports it as a conflict
+			if (this.findAttachmentFile(pathInRepo, sourcePath)) continue
+
+			const content = await this.downloadFile(provider, branch, pathInRepo, sha)
+			await this.writeLocalFile(pathInRepo, content, { sourcePath })
+			lastSynced[pathInRepo] = sha
+		}
+	}
+
+	async pull({ silent = false, paths = null } = {}) {
+		const filesToPull = this.filesToPull.filter(f => paths ? paths.includes(f.pathInRepo) : this.isSelected(f))
+		if (filesToPull.length === 0 || this.isSyncing) return false
+
+		const branch = this.getBranch()
+		const provider = this.getProvider()
+		const lastSynced = this.plugin.getSyncState(this.repoConfig, branch)
+
+		const notice = silent ? null : new Notice(`Pulling ${filesToPull.length} changes...`, 0)
+
+		this.isSyncing = true
+		try {
+			for (const [index, item] of filesToPull.entries()) {
+				const label = `Pulling ${index + 1}/${filesToPull.length}: ${this.getRelativePath(item.pathInRepo)}`
+				this.setProgress(label, index, filesToPull.length)
+				if (notice) notice.setMessage(label)
+
+				if (item.status.startsWith("deleted-remotely")) {
+					if (item.localFile) {
+						await this.app.vault.delete(item.localFile)
+					}
+					delete lastSynced[item.pathInRepo]
+					if (this.remoteTree) this.remoteTree.delete(item.pathInRepo)
+					continue
+				}
+
+				if (item.oldPathInRepo) {
+					await this.moveLocalFile(item.localFile, this.getLocalPath(item.pathInRepo))
+					delete lastSynced[item.oldPathInRepo]
+
+					// The moved file now stands for the new path, and may already have the right content
+					const tracked = this.localFiles.find(f => f.file === item.localFile)
+					if (tracked) tracked.pathInRepo = item.pathInRepo
+					if (item.sha === item.localSha) {
+						lastSynced[item.pathInRepo] = item.sha
+						continue
+					}
+				}
+
+				const content = await this.downloadFile(provider, branch, item.pathInRepo, item.sha)
+				if (item.pathInRepo.endsWith(".md")) {
+					await this.pullReferencedAttachments(provider, branch, { pathInRepo: item.pathInRepo, text: content.toString("utf8") }, lastSynced)
+				}
+				await this.writeLocalFromRepo(item.pathInRepo, content, { discardLocal: item.status.endsWith("(force)") })
+
+				lastSynced[item.pathInRepo] = item.sha
+			}
+			if (notice) notice.hide()
+			if (!silent) new Notice("Pull successful!")
+			await this.plugin.saveSettings()
+			this.isSyncing = false
+			await this.refresh({ fetchRemote: true })
+			return true
+		} catch (e) {
+			console.error(e)
+			if (notice) notice.hide()
+			new Notice(`Pull failed: ${e.message}`)
+			return false
+		} finally {
+			this.isSyncing = false
+			this.setProgress(null)
+		}
+	}
+
+	// Called periodically by the plugin. Remote changes are pulled as soon as they're seen,
+	// local changes are pushed once the folder has been left alone for `pushDelay` minutes.
+	async runAutoSync(now = Date.now()) {
+		const options = getAutoSyncOptions(this.repoConfig)
+		if (!options.enabled || this.isSyncing || this.isRefreshing) return
+
+		if (now - this.lastRemoteFetch >= options.interval * 60 * 1000) {
+			await this.refresh({ fetchRemote: true })
+		}
+
+		if (this.conflicts.length > 0) {
+			if (!this.autoSyncPaused) {
+				this.autoSyncPaused = true
+				new Notice(`GitPush: auto-sync of ${this.repoConfig.repo} stopped, ${this.conflicts.length} conflict(s) need to be resolved.`)
+				this.changed()
+			}
+			return
+		}
+
+		if (this.autoSyncPaused) {
+			this.autoSyncPaused = false
+			this.changed()
+		}
+
+		if (this.remoteError || !this.remoteTree) return
+
+		const hasPulls = this.filesToPull.some(f => this.isSelected(f))
+		const pushCount = this.filesToPush.filter(f => this.isSelected(f)).length
+
+		if (hasPulls && pushCount === 0) {
+			await this.pull({ silent: true })
+			return
+		}
+
+		if (pushCount > 0 && now - this.lastLocalChange >= options.pushDelay * 60 * 1000) {
+			// Remote and local changes never touch the same paths here (that would be a conflict), so pulling first is safe
+			if (hasPulls && !await this.pull({ silent: true })) return
+			await this.push({ message: formatCommitMessage(options.commitMessage, { count: pushCount }), silent: true })
+		}
+	}
+}
@@ -0,0 +1,297 @@
+// Markdown transforms applied when notes leave the vault (export) and reversed when they come back (import).
+// Each transform gets a context built by RepoSync, which knows how vault files map to repository paths.
+
+import { moment } from "obsidian"
+
+const EXTERNAL_URL_REGEX = /^([a-z][a-z0-9+.-]*:|\/\/|#)/i
+
+// Runs `fn` on the prose parts of a note only, leaving fenced code blocks and inline code untouched
+function mapProse(text, fn) {
+	const codeRegex = /```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]*`/g
+	let result = ""
+	let lastIndex = 0
+	let match
+
+	while ((match = codeRegex.exec(text)) !== null) {
+		result += fn(text.substring(lastIndex, match.index)) + match[0]
+		lastIndex = match.index + match[0].length
+	}
+	return result + fn(text.substring(lastIndex))
+}
+
+function dirname(path) {
+	return path.includes("/") ? path.substring(0, path.lastIndexOf("/")) : ""
+}
+
+export function getRelativeRepoPath(fromFile, toFile) {
+	const from = dirname(fromFile).split("/").filter(Boolean)
+	const to = toFile.split("/")
+
+	let common = 0
+	while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++
+
+	return [...from.slice(common).map(() => ".."), ...to.slice(common)].join("/")
+}
+
+export function resolveRepoPath(fromFile, relativePath) {
+	const parts = dirname(fromFile).split("/").filter(Boolean)
+	for (const part of relativePath.split("/")) {
+		if (part === "..") parts.pop()
+		else if (part && part !== ".") parts.push(part)
+	}
+	return parts.join("/")
+}
+
+function encodeLinkPath(path) {
+	return encodeURI(path).replace(/\(/g, "%28").replace(/\)/g, "%29")
+}
+
+function decodeLinkPath(path) {
+	try {
+		return decodeURI(path.replace(/^<|>$/g, ""))
+	} catch (e) {
+		return path
+	}
+}
+
+// Same anchors as GitHub generates for headings
+export function slugifyHeading(heading) {
+	return heading.trim().toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, "").replace(/\s/g, "-")
+}
+
+// "rewriteLinks": true only rewrites embeds, { "embeds": true, "notes": true } also rewrites [[note]] links
+export function getLinkOptions(repoConfig) {
+	const value = repoConfig && repoConfig.rewriteLinks
+	if (!value) return null
+	if (value === true) return { embeds: true, notes: false }
+	return { embeds: value.embeds !== false, notes: !!value.notes }
+}
+
+function splitWikilink(inner) {
+	const [target, ...aliasParts] = inner.split("|")
+	const [linkpath, ...headingParts] = target.split("#")
+	return { linkpath, heading: headingParts.join("#"), alias: aliasParts.join("|") }
+}
+
+// Plain links to attachments follow the "embeds" option, links to notes the "notes" one
+function isRewritten(target, options) {
+	if (!target) return false
+	return target.type === "attachment" ? options.embeds : target.type === "note" && options.notes
+}
+
+// ![[image.png]], ![](vault/path.png), [[file.pdf]] and optionally [[note]] become standard links relative to the note in the repository
+function exportLinks(text, ctx, options) {
+	return mapProse(text, (prose) => {
+		if (options.embeds) {
+			prose = prose.replace(/!\[\[([^\]]+?)\]\]/g, (match, inner) => {
+				const { linkpath, alias } = splitWikilink(inner)
+				const target = ctx.getRepoTarget(linkpath)
+				if (!target || target.type !== "attachment") return match
+				return `![${alias}](${encodeLinkPath(getRelativeRepoPath(ctx.pathInRepo, target.pathInRepo))})`
+			})
+
+			prose = prose.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => {
+				if (EXTERNAL_URL_REGEX.test(url)) return match
+				const target = ctx.getRepoTarget(decodeLinkPath(url))
+				if (!target || target.type !== "attachment") return match
+				return `![${alt}](${encodeLinkPath(getRelativeRepoPath(ctx.pathInRepo, target.pathInRepo))})`
+			})
+		}
+
+		prose = prose.replace(/(?<!!)\[\[([^\]]+?)\]\]/g, (match, inner) => {
+			const { linkpath, heading, alias } = splitWikilink(inner)
+			const target = linkpath ? ctx.getRepoTarget(linkpath) : null
+			if (!isRewritten(target, options)) return match
+
+			const anchor = heading && target.type === "note" ? `#${slugifyHeading(heading)}` : ""
+			return `[${alias || linkpath}](${encodeLinkPath(getRelativeRepoPath(ctx.pathInRepo, target.pathInRepo))}${anchor})`
+		})
+
+		return prose
+	})
+}
+
+// Reverse of exportLinks: links pointing to synced attachments or notes become wikilinks again
+function importLinks(text, ctx, options) {
+	return mapProse(text, (prose) => {
+		if (options.embeds) {
+			prose = prose.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => {
+				if (EXTERNAL_URL_REGEX.test(url)) return match
+				const target = ctx.getVaultTarget(resolveRepoPath(ctx.pathInRepo, decodeLinkPath(url)))
+				if (!target || target.type !== "attachment") return match
+				return `![[${target.linktext}${alt ? `|${alt}` : ""}]]`
+			})
+		}
+
+		prose = prose.replace(/(?<!!)\[([^\]]*)\]\(([^)\s]+)\)/g, (match, label, url) => {
+			if (EXTERNAL_URL_REGEX.test(url)) return match
+
+			const [path, anchor] = url.split("#")
+			const target = ctx.getVaultTarget(resolveRepoPath(ctx.pathInRepo, decodeLinkPath(path)))
+			if (!isRewritten(target, options)) return match
+
+			const heading = anchor && target.type === "note" ? ctx.findHeading(target, anchor) : ""
+			const alias = label && label !== target.linktext ? `|${label}` : ""
+			return `[[${target.linktext}${heading ? `#${heading}` : ""}${alias}]]`
+		})
+
+		return prose
+	})
+}
+
+// Link targets found in a note, as written: wikilink paths and (decoded) relative URLs of standard links
+export function findLinkTargets(text) {
+	const wikilinks = []
+	const urls = []
+
+	mapProse(text, (prose) => {
+		for (const match of prose.matchAll(/\[\[([^\]]+?)\]\]/g)) {
+			wikilinks.push(splitWikilink(match[1]).linkpath)
+		}
+		for (const match of prose.matchAll(/\[[^\]]*\]\(([^)\s]+)\)/g)) {
+			if (!EXTERNAL_URL_REGEX.test(match[1])) urls.push(decodeLinkPath(match[1].split("#")[0]))
+		}
+		return prose
+	})
+	return { wikilinks, urls }
+}
+
+// "transforms" in .obsidian-gitpush.json, "updated": true is accepted as a shorthand for the default field
+export function getTransformOptions(repoConfig) {
+	const value = (repoConfig && repoConfig.transforms) || {}
+	const updated = value.updated === true ? {} : value.updated
+
+	return {
+		stripComments: !!value.stripComments,
+		frontmatter: value.frontmatter || null, // { remove: [keys] } or { keep: [keys] }
+		callouts: !!value.callouts,
+		highlights: !!value.highlights,
+		updated: updated ? { field: "updated", format: "YYYY-MM-DD", ...updated } : null
+	}
+}
+
+// Frontmatter as raw lines grouped by top-level key, so fields can be removed or set without reformatting the others
+function splitFrontmatter(text) {
+	const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/)
+	if (!match) return { fields: [], body: text }
+
+	const fields = []
+	for (const line of match[1].split(/\r?\n/)) {
+		const key = line.match(/^([^\s#:-][^:]*):/)
+		if (key || fields.length === 0) fields.push({ key: key ? key[1].trim() : null, lines: [line] })
+		else fields[fields.length - 1].lines.push(line)
+	}
+	return { fields, body: text.substring(match[0].length) }
+}
+
+function joinFrontmatter(fields, body) {
+	if (fields.length === 0) return body
+	return `---\n${fields.flatMap(f => f.lines).join("\n")}\n---\n${body}`
+}
+
+function filterFrontmatter(text, { keep = null, remove = [] }) {
+	const { fields, body } = splitFrontmatter(text)
+	if (fields.length === 0) return text
+
+	const kept = fields.filter(f => (keep ? keep.includes(f.key) : !remove.includes(f.key)))
+	return joinFrontmatter(kept, body)
+}
+
+function setFrontmatterField(text, key, value) {
+	const { fields, body } = splitFrontmatter(text)
+	const field = fields.find(f => f.key === key)
+	if (field) field.lines = [`${key}: ${value}`]
+	else fields.push({ key, lines: [`${key}: ${value}`] })
+	return joinFrontmatter(fields, body)
+}
+
+function removeFrontmatterField(text, key) {
+	const { fields, body } = splitFrontmatter(text)
+	if (!fields.some(f => f.key === key)) return text
+	return joinFrontmatter(fields.filter(f => f.key !== key), body)
+}
+
+function getFrontmatterField(text, key) {
+	const field = splitFrontmatter(text).fields.find(f => f.key === key)
+	if (!field) return null
+	return field.lines[0].substring(field.lines[0].indexOf(":") + 1).trim().replace(/^(["'])(.*)\1$/, "$2")
+}
+
+// %%comments%% only exist in the vault, whole-line comments are removed with their line
+function stripComments(text) {
+	return mapProse(text, prose => prose
+		.replace(/^[ \t]*%%[\s\S]*?%%[ \t]*(\r?\n|$)/gm, "")
+		.replace(/%%[\s\S]*?%%/g, ""))
+}
+
+// GitHub only knows five alert types, other Obsidian callouts are mapped to the closest one
+const CALLOUT_TYPES = {
+	NOTE: ["note", "info", "todo", "abstract", "summary", "tldr", "example", "quote", "cite"],
+	TIP: ["tip", "hint", "success", "check", "done"],
+	IMPORTANT: ["important", "question", "help", "faq"],
+	WARNING: ["warning", "caution", "attention"],
+	CAUTION: ["danger", "error", "failure", "fail", "missing", "bug"]
+}
+
+function getAlertType(calloutType) {
+	const type = calloutType.toLowerCase()
+	return Object.keys(CALLOUT_TYPES).find(alert => CALLOUT_TYPES[alert].includes(type)) || "NOTE"
+}
+
+// > [!info]- Title  ->  > [!NOTE] followed by the title in bold, since GitHub alerts have no title
+function exportCallouts(text) {
+	return mapProse(text, prose => prose.replace(/^((?:>[ \t]?)+)\[!([\w-]+)\][+-]?[ \t]*(.*)$/gm, (match, quote, type, title) => {
+		const alert = `${quote}[!${getAlertType(type)}]`
+		return title.trim() ? `${alert}\n${quote}**${title.trim()}**` : alert
+	}))
+}
+
+function importCallouts(text) {
+	return mapProse(text, prose => prose
+		.replace(/^((?:>[ \t]?)+)\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*\r?\n\1\*\*(.+)\*\*[ \t]*$/gm, (match, quote, alert, title) => `${quote}[!${alert.toLowerCase()}] ${title}`)
+		.replace(/^((?:>[ \t]?)+)\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*$/gm, (match, quote, alert) => `${quote}[!${alert.toLowerCase()}]`))
+}
+
+export function exportMarkdown(text, ctx) {
+	const options = getTransformOptions(ctx.repoConfig)
+
+	if (options.stripComments) text = stripComments(text)
+	if (options.frontmatter) text = filterFrontmatter(text, options.frontmatter)
+	if (options.updated) text = setFrontmatterField(text, options.updated.field, moment(ctx.mtime).format(options.updated.format))
+	if (options.callouts) text = exportCallouts(text)
+	if (options.highlights) text = mapProse(text, prose => prose.replace(/==([^=\n]+)==/g, "<mark>$1</mark>"))
+
+	const linkOptions = getLinkOptions(ctx.repoConfig)
+	if (linkOptions) text = exportLinks(text, ctx, linkOptions)
+	return text
+}
+
+// Comments and removed frontmatter fields can't be brought back from the repository, RepoSync merges them
+// back from the local note instead
+export function importMarkdown(text, ctx) {
+	const options = getTransformOptions(ctx.repoConfig)
+
+	const linkOptions = getLinkOptions(ctx.repoConfig)
+	if (linkOptions) text = importLinks(text, ctx, linkOptions)
+
+	if (options.highlights) text = mapProse(text, prose => prose.replace(/<mark>([^<\n]*)<\/mark>/g, "==$1=="))
+	if (options.callouts) text = importCallouts(text)
+	if (options.updated) text = removeFrontmatterField(text, options.updated.field)
+	return text
+}
+
+// Time written in the "updated" field of a note from the repository, used as modification time of the vault file
+// so the field comes out the same on the next export
+export function getUpdatedTime(text, repoConfig) {
+	const options = getTransformOptions(repoConfig)
+	if (!options.updated) return null
+
+	const value = getFrontmatterField(text, options.updated.field)
+	const date = value && moment(value, options.updated.format, true)
+	return date && date.isValid() ? date.valueOf() : null
+}
+
+export function hasMarkdownTransforms(repoConfig) {
+	const options = getTransformOptions(repoConfig)
+	return !!(getLinkOptions(repoConfig) || options.stripComments || options.frontmatter || options.callouts || options.highlights || options.updated)
+}
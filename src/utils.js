@@ -0,0 +1,164 @@
+import { moment } from "obsidian"
+import * as crypto from "crypto"
+
+export const CONFIG_FILE_NAME = ".obsidian-gitpush.json"
+export const SUPPORTED_ATTACHED_MEDIAS = ["png", "jpg", "jpeg", "gif", "svg", "webp", "mp4", "webm"]
+export const MERGEABLE_EXTENSIONS = ["md", "markdown", "txt", "csv", "html", "css", "yml", "yaml"]
+export const MEDIA_MIME_TYPES = {
+	png: "image/png",
+	jpg: "image/jpeg",
+	jpeg: "image/jpeg",
+	gif: "image/gif",
+	svg: "image/svg+xml",
+	webp: "image/webp",
+	mp4: "video/mp4",
+	webm: "video/webm"
+}
+
+const DEFAULT_AUTO_SYNC = {
+	enabled: false,
+	interval: 5, // minutes between two remote fetches
+	pushDelay: 2, // minutes without local edits before pushing
+	commitMessage: "Auto-sync from Obsidian ({{date}} {{time}})"
+}
+
+const DEFAULT_ATTACHMENTS = {
+	include: SUPPORTED_ATTACHED_MEDIAS, // extensions synced along with the notes, "*" for any file
+	exclude: [],
+	links: false, // whether plain [[links]] to files count, not only embeds
+	maxSize: 100 // MB, bigger files are left out of the sync (GitHub refuses blobs over 100 MB)
+}
+
+export function getAttachmentOptions(repoConfig) {
+	const value = (repoConfig && repoConfig.attachments) || {}
+	const toExtensions = list => list.map(ext => String(ext).toLowerCase().replace(/^\./, ""))
+	return {
+		...DEFAULT_ATTACHMENTS,
+		...value,
+		include: toExtensions(value.include || DEFAULT_ATTACHMENTS.include),
+		exclude: toExtensions(value.exclude || DEFAULT_ATTACHMENTS.exclude)
+	}
+}
+
+// Notes are never attachments, even with "include": ["*"]
+export function isAttachmentExtension(options, extension) {
+	extension = extension.toLowerCase()
+	if (extension === "md" || options.exclude.includes(extension)) return false
+	return options.include.includes("*") || options.include.includes(extension)
+}
+
+// How attachments are named in imagesPath: "name" (file name), "folder" (path in the vault),
+// "hash" (file name with a short content hash) or "content" (content hash only)
+export const ATTACHMENT_NAMING_STRATEGIES = ["name", "folder", "hash", "content"]
+
+export function getAttachmentNaming(repoConfig) {
+	const value = repoConfig && repoConfig.attachmentNaming
+	return ATTACHMENT_NAMING_STRATEGIES.includes(value) ? value : "name"
+}
+
+// A config file holds either a single target or an array of them, e.g. a docs repository and a site repository
+export function getRepoTargets(config) {
+	return (Array.isArray(config) ? config : [config])
+		.filter(target => target && typeof target === "object")
+		// Local repositories are named after their folder on disk, which also keeps their baselines apart
+		.map(target => target.gitDir && !target.repo ? { ...target, repo: target.gitDir } : target)
+}
+
+export function getRepoPrefix(repoConfig) {
+	return (repoConfig.path || "").replace(/^\//, "").replace(/\/$/, "")
+}
+
+// Each linked folder keeps its own baseline, so folders sharing file names in different repos/branches don't clash
+export function getSyncStateKey(repoConfig, branch) {
+	return `${repoConfig.repo}@${branch}:${getRepoPrefix(repoConfig)}`
+}
+
+// "autoSync": true is accepted as a shorthand for the default options
+export function getAutoSyncOptions(repoConfig) {
+	const value = repoConfig && repoConfig.autoSync
+	if (!value) return { ...DEFAULT_AUTO_SYNC }
+	if (value === true) return { ...DEFAULT_AUTO_SYNC, enabled: true }
+	return { ...DEFAULT_AUTO_SYNC, enabled: true, ...value }
+}
+
+export function formatCommitMessage(template, { count = 0 } = {}) {
+	const now = moment()
+	return template
+		.replace(/{{date}}/g, now.format("YYYY-MM-DD"))
+		.replace(/{{time}}/g, now.format("HH:mm"))
+		.replace(/{{count}}/g, String(count))
+}
+
+export function getGitBlobSha(contentBuffer) {
+	const size = contentBuffer.byteLength
+	const header = `blob ${size}\0`
+	const headerBuffer = Buffer.from(header)
+	const combined = Buffer.concat([headerBuffer, Buffer.from(contentBuffer)])
+	return crypto.createHash("sha1").update(combined).digest("hex")
+}
+
+export function formatSelectionCount(selected, total) {
+	return selected === total ? `${total}` : `${selected}/${total}`
+}
+
+export function isMergeablePath(path) {
+	const extension = path.split(".").pop().toLowerCase()
+	return MERGEABLE_EXTENSIONS.includes(extension)
+}
+
+// Same heuristic as git: a NUL byte in the first 8000 bytes means binary content
+export function isTextContent(buffer) {
+	return !buffer.subarray(0, 8000).includes(0)
+}
+
+export function encodeRepoPath(path) {
+	return path.split("/").map(encodeURIComponent).join("/")
+}
+
+// Runs `fn` on every item with at most `limit` calls in flight. Stops starting new ones after the first failure.
+export async function runWithConcurrency(items, limit, fn) {
+	let next = 0
+	let error = null
+
+	const worker = async () => {
+		while (!error && next < items.length) {
+			const item = items[next++]
+			try {
+				await fn(item)
+			} catch (e) {
+				error = error || e
+			}
+		}
+	}
+
+	await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+	if (error) throw error
+}
+
+// Delay before retrying a failed request, or null if it shouldn't be retried
+function getRetryDelay(e, attempt) {
+	const headers = (e.response && e.response.headers) || {}
+	const rateLimited = e.status === 429 || (e.status === 403 && (headers["retry-after"] || headers["x-ratelimit-remaining"] === "0" || /rate limit/i.test(e.message || "")))
+
+	if (rateLimited) {
+		if (headers["retry-after"]) return Number(headers["retry-after"]) * 1000
+		if (headers["x-ratelimit-reset"]) return Math.max(0, (Number(headers["x-ratelimit-reset"]) * 1000) - Date.now()) + 1000
+		return Math.min(60 * 1000, 1000 * (2 ** attempt))
+	}
+	if (e.status >= 500) return 1000 * (2 ** attempt)
+	return null
+}
+
+export async function withRateLimitRetry(fn, { retries = 5, maxDelay = 5 * 60 * 1000 } = {}) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await fn()
+		} catch (e) {
+			const delay = getRetryDelay(e, attempt)
+			if (delay === null || delay > maxDelay || attempt >= retries) throw e
+
+			console.warn(`Request failed (${e.status}), retrying in ${Math.round(delay / 1000)}s`)
+			await new Promise(resolve => setTimeout(resolve, delay))
+		}
+	}
+}